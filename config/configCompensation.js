@@ -0,0 +1,23 @@
+const path = require('path')
+
+// Exchange rates used to compare salaries across currencies. Each rate is
+// the value of one unit of the currency in the base currency. Point
+// CURRENCY_RATES_FILE at another JSON file with the same shape to override.
+const ratesFile =
+  process.env.CURRENCY_RATES_FILE || path.join(__dirname, 'currencyRates.json')
+const { baseCurrency, rates } = require(path.resolve(ratesFile))
+
+// Pay periods and how many of them make up a working year
+const periodsPerYear = {
+  hourly: 2080,
+  daily: 260,
+  weekly: 52,
+  monthly: 12,
+  yearly: 1,
+}
+
+module.exports = {
+  baseCurrency,
+  rates,
+  periodsPerYear,
+}
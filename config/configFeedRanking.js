@@ -0,0 +1,12 @@
+const path = require('path')
+
+// Ranking settings of the home, explore and reels feeds: which candidate
+// sources they draw from, the weight of each feature, how fast scores decay
+// and how seen posts and repeated authors are handled. Point
+// FEED_RANKING_FILE at another JSON file with the same shape to tune ranking
+// without a deploy.
+const rankingFile =
+  process.env.FEED_RANKING_FILE || path.join(__dirname, 'feedRanking.json')
+const feeds = require(path.resolve(rankingFile))
+
+module.exports = { feeds }
@@ -1,8 +1,9 @@
 const s3 = require('../../config/configS3')
+const { privateKeyFor } = require('../../utils/job/attachments')
 
 const getPresignedUrl = async (req, res) => {
   try {
-    const { fileName, fileType } = req.body // Get file name & type from frontend
+    const { fileName, fileType, isPrivate } = req.body // Get file name & type from frontend
     if (!fileName || !fileType) {
       return res.status(400).json({
         success: false,
@@ -11,10 +12,14 @@ const getPresignedUrl = async (req, res) => {
     }
     const params = {
       Bucket: process.env.AWS_BUCKET_NAME,
-      Key: `uploads/${Date.now()}_${fileName}`, // Unique file name
+      // Private files (e.g. resumes) go under the uploader's own prefix, so
+      // only they can attach them, and are only served through signed links
+      Key: isPrivate
+        ? privateKeyFor(req.user._id, fileName)
+        : `uploads/${Date.now()}_${fileName}`, // Unique file name
       Expires: 60, // URL expires in 60 seconds
       ContentType: fileType,
-      ACL: 'public-read', // Make it publicly accessible
+      ACL: isPrivate ? 'private' : 'public-read',
     }
 
     // Generate pre-signed URL
@@ -4,6 +4,16 @@ const PrivateChat = require('../../models/PrivateChat');
 const ChatGroup = require('../../models/ChatGroup');
 const ChatNotification = require('../../models/ChatNotification');
 const mongoose = require('mongoose');
+const {
+  readPageParams,
+  paginateQuery
+} = require('../../utils/main/cursorPagination');
+
+// Newest messages first, older ones are loaded with `nextCursor`
+const messageSort = [
+  ['createdAt', -1],
+  ['_id', -1]
+];
 
 /**
  * Get messages for a specific chat (private or group)
@@ -13,9 +23,7 @@ const getChatMessages = async (req, res) => {
     console.log('📥 Getting chat messages');
     const { chatId } = req.params;
     const { chatType } = req.query;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const pageParams = readPageParams(req.query, messageSort);
     
     if (!chatId || !chatType) {
       return res.status(400).json({
@@ -30,6 +38,13 @@ const getChatMessages = async (req, res) => {
         message: 'Chat type must be "private" or "group"'
       });
     }
+
+    if (pageParams.error) {
+      return res.status(400).json({
+        success: false,
+        message: pageParams.error
+      });
+    }
     
     // Get MongoDB user
     const user = await User.findById(req.userId);
@@ -91,13 +106,19 @@ const getChatMessages = async (req, res) => {
       query.group = chatId;
     }
     
-    // Get messages with pagination
-    const messages = await Message.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('sender', '_id username profileImg')
-      .populate('readBy.user', '_id username');
+    // Get a page of messages
+    const {
+      items: messages,
+      nextCursor,
+      prevCursor
+    } = await paginateQuery(
+      (filter) => Message.find(filter)
+        .populate('sender', '_id username profileImg')
+        .populate('readBy.user', '_id username'),
+      query,
+      messageSort,
+      pageParams
+    );
     
     // Count total messages for pagination
     const totalMessages = await Message.countDocuments(query);
@@ -178,9 +199,9 @@ const getChatMessages = async (req, res) => {
         unreadCount: unreadMessageIds.length,
         pagination: {
           total: totalMessages,
-          page,
-          limit,
-          pages: Math.ceil(totalMessages / limit)
+          limit: pageParams.limit,
+          nextCursor,
+          prevCursor
         }
       }
     });
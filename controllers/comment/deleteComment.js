@@ -1,13 +1,54 @@
 // Delete a comment
 const Comment = require('../../models/Comment')
-const User = require('../../models/User')
+const Post = require('../../models/Post')
+const { adjustCommentsCount } = require('../../utils/post/engagement')
 
 async function deleteComment(req, res) {
+  try {
     const comment = await Comment.findById(req.params.id)
-    if (!req.user.userId.equals(comment.authorId)) return res.status(400).json({ message: "Not Authorized To Delete the Comment" })
-    if (!comment) return res.status(400).json({ message: "Comment Not Found" })
-    await Comment.deleteOne(comment)
-    return res.status(200).json({ message: "Comment Deleted Successfully" })
+    if (!comment) return res.status(404).json({ message: 'Comment Not Found' })
+    if (!req.user._id.equals(comment.authorId)) {
+      return res
+        .status(403)
+        .json({ message: 'Not Authorized To Delete the Comment' })
+    }
+
+    // Replies go with the comment they answer, and replies to those
+    // replies at any depth
+    const [thread] = await Comment.aggregate([
+      { $match: { _id: comment._id } },
+      {
+        $graphLookup: {
+          from: Comment.collection.name,
+          startWith: '$_id',
+          connectFromField: '_id',
+          connectToField: 'parentComment',
+          as: 'descendants',
+        },
+      },
+      { $project: { descendants: '$descendants._id' } },
+    ])
+    const { deletedCount } = await Comment.deleteMany({
+      _id: { $in: [comment._id, ...thread.descendants] },
+    })
+    if (comment.parentComment) {
+      await Comment.updateOne(
+        { _id: comment.parentComment },
+        { $pull: { replies: comment._id } },
+      )
+    } else {
+      await Post.updateOne(
+        { _id: comment.postId },
+        { $pull: { comments: comment._id } },
+      )
+    }
+    await adjustCommentsCount(comment.postId, -deletedCount)
+
+    return res.status(200).json({ message: 'Comment Deleted Successfully' })
+  } catch (error) {
+    console.error('Error deleting comment:', error)
+    return res.status(500).json({ message: 'Error deleting comment' })
+  }
 }
 
-module.exports = deleteComment;
\ No newline at end of file
+module.exports = deleteComment
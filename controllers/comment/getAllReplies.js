@@ -1,10 +1,46 @@
 // Get All Replies for a comment
 const Comment = require('../../models/Comment')
+const {
+  readPageParams,
+  paginateQuery,
+} = require('../../utils/main/cursorPagination')
+
+// Oldest first, like a conversation
+const replySort = [
+  ['createdAt', 1],
+  ['_id', 1],
+]
 
 async function getRepliesForComment(req, res) {
-    const data = await Comment.findById(req.params.id)
-    if (!data) return res.status(404).json({ message: "Comment Not Found", data })
-    return res.status(200).json({ message: "Comment Replies Retrieved Successfully", data: data.replies })
+  try {
+    const pageParams = readPageParams(req.query, replySort)
+    if (pageParams.error) {
+      return res.status(400).json({ message: pageParams.error })
+    }
+
+    const comment = await Comment.findById(req.params.id).select('_id')
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment Not Found', data: null })
+    }
+
+    const { items, nextCursor, prevCursor } = await paginateQuery(
+      (query) =>
+        Comment.find(query).populate('authorId', 'username profileImg clerkId'),
+      { parentComment: comment._id },
+      replySort,
+      pageParams,
+    )
+
+    return res.status(200).json({
+      message: 'Comment Replies Retrieved Successfully',
+      data: items,
+      nextCursor,
+      prevCursor,
+    })
+  } catch (error) {
+    console.error('Error getting replies:', error)
+    return res.status(500).json({ message: 'Error Getting Replies' })
+  }
 }
 
-module.exports = getRepliesForComment;
\ No newline at end of file
+module.exports = getRepliesForComment
@@ -1,5 +1,10 @@
 const Comment = require('../../models/Comment')
 const User = require('../../models/User')
+const {
+  resolveMentions,
+  notifyCommentMentions,
+} = require('../../utils/post/mentions')
+const { adjustCommentsCount } = require('../../utils/post/engagement')
 
 async function replyToComment(req, res) {
   try {
@@ -21,6 +26,7 @@ async function replyToComment(req, res) {
       authorId: user._id,
       postId: parentComment.postId, // Use the same post ID as parent comment
       parentComment: parentComment._id, // Reference to parent comment
+      mentions: await resolveMentions(req.body.content, user),
     })
 
     // Save the reply comment
@@ -29,6 +35,14 @@ async function replyToComment(req, res) {
     // Add the reply's ID to parent comment's replies array
     parentComment.replies.push(replyComment._id)
     await parentComment.save()
+    await adjustCommentsCount(parentComment.postId, 1)
+
+    notifyCommentMentions({
+      entities: replyComment.mentions,
+      author: user,
+      postId: parentComment.postId,
+      commentId: replyComment._id,
+    })
 
     // Populate the reply with author details
     await replyComment.populate({
@@ -42,6 +56,7 @@ async function replyToComment(req, res) {
         _id: replyComment._id,
         content: replyComment.content,
         createdAt: replyComment.createdAt,
+        mentions: replyComment.mentions,
         author: {
           _id: replyComment.authorId._id,
           username: replyComment.authorId.username,
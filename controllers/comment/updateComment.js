@@ -1,17 +1,55 @@
 // Update a comment
 const Comment = require('../../models/Comment')
+const {
+  resolveMentions,
+  notifyCommentMentions,
+} = require('../../utils/post/mentions')
 
 async function updateComment(req, res) {
+  try {
     const comment = await Comment.findById(req.params.id)
-    if (!req.user.userId.equals(comment.authorId)) return res.status(400).json({ message: "Not Authorized To Update the Comment" })
-    if (!comment) return res.status(400).json({ message: "Comment Not Found" })
-    await updateCommentHelper(comment, req.body)
-    return res.status(200).json({ message: "Comment Updated Successfully" })
-}
+    if (!comment) return res.status(404).json({ message: 'Comment Not Found' })
+    if (!req.user._id.equals(comment.authorId)) {
+      return res
+        .status(403)
+        .json({ message: 'Not Authorized To Update the Comment' })
+    }
+
+    // Only the content can be edited
+    const { content } = req.body
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ message: 'Content is Required' })
+    }
 
-async function updateCommentHelper(comment, data) {
-    await comment.updateOne(data)
+    // Mentions are resolved again, only newly mentioned users are notified
+    const previousMentions = comment.mentions.map((mention) =>
+      mention.toObject(),
+    )
+    comment.content = content
+    comment.mentions = await resolveMentions(content, req.user)
     await comment.save()
+
+    notifyCommentMentions({
+      entities: comment.mentions,
+      previous: previousMentions,
+      author: req.user,
+      postId: comment.postId,
+      commentId: comment._id,
+    })
+
+    return res.status(200).json({
+      message: 'Comment Updated Successfully',
+      comment: {
+        _id: comment._id,
+        content: comment.content,
+        mentions: comment.mentions,
+        updatedAt: comment.updatedAt,
+      },
+    })
+  } catch (error) {
+    console.error('Error updating comment:', error)
+    return res.status(500).json({ message: 'Error updating comment' })
+  }
 }
 
-module.exports = updateComment;
\ No newline at end of file
+module.exports = updateComment
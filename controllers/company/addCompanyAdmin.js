@@ -0,0 +1,50 @@
+const mongoose = require('mongoose')
+const Company = require('../../models/Company')
+const User = require('../../models/User')
+
+const addCompanyAdmin = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { userId } = req.body
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid user', success: false })
+    }
+
+    const company = await Company.findById(req.params.id)
+    if (!company) {
+      return res
+        .status(404)
+        .json({ message: 'Company not found', success: false })
+    }
+
+    if (!company.isVerifiedAdmin(req.user._id)) {
+      return res.status(403).json({
+        message: 'Only admins of a verified company can add admins',
+        success: false,
+      })
+    }
+
+    if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ message: 'User not found', success: false })
+    }
+
+    company.admins.addToSet(userId)
+    await company.save()
+
+    return res.status(200).json({
+      message: 'Admin added successfully',
+      success: true,
+      admins: company.admins,
+    })
+  } catch (error) {
+    console.error('Error adding company admin:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = addCompanyAdmin
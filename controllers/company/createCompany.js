@@ -0,0 +1,66 @@
+const Company = require('../../models/Company')
+
+const createCompany = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { name, logo, description, website, size } = req.body
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res
+        .status(400)
+        .json({ message: 'Company name is required', success: false })
+    }
+
+    const slug = Company.slugify(name)
+    if (!slug) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid company name', success: false })
+    }
+
+    // Different spellings of the same company share a slug. A rejected
+    // claim does not hold on to the name.
+    const existing = await Company.findOne({ slug }).select(
+      'name slug verificationStatus',
+    )
+    if (existing && existing.verificationStatus !== 'rejected') {
+      return res.status(409).json({
+        message: 'This company already has a page',
+        success: false,
+        company: existing,
+      })
+    }
+    if (existing) await Company.deleteOne({ _id: existing._id })
+
+    const company = await Company.create({
+      name: name.trim(),
+      slug,
+      logo,
+      description,
+      website,
+      size,
+      admins: [req.user._id],
+      createdBy: req.user._id,
+    })
+
+    // The creator becomes its admin once a site admin verifies the page
+    return res.status(201).json({
+      message: 'Company created and waiting for verification',
+      success: true,
+      company,
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, success: false })
+    }
+    console.error('Error creating company:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = createCompany
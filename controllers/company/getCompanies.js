@@ -0,0 +1,44 @@
+const Company = require('../../models/Company')
+
+const getCompanies = async (req, res) => {
+  try {
+    const { q, page = 1, limit = 10 } = req.query
+
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = parseInt(limit, 10) || 10
+    const skip = (pageNumber - 1) * limitNumber
+
+    // `?mine=true` lists the companies the user administers, verified or
+    // not. Everyone else only sees verified companies.
+    const filter = {}
+    if (q) filter.$text = { $search: String(q) }
+    if (req.query.mine === 'true') {
+      filter.admins = req.user._id
+    } else {
+      filter.verificationStatus = 'verified'
+    }
+
+    const totalCompanies = await Company.countDocuments(filter)
+    const companies = await Company.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limitNumber)
+      .select('name slug logo size website verificationStatus')
+
+    return res.status(200).json({
+      message: 'Companies retrieved successfully',
+      success: true,
+      data: companies,
+      totalCompanies,
+      totalPages: Math.ceil(totalCompanies / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error retrieving companies:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getCompanies
@@ -0,0 +1,93 @@
+const Company = require('../../models/Company')
+const Job = require('../../models/Job')
+const Application = require('../../models/Application')
+const { describeAttachment } = require('../../utils/job/attachments')
+
+// Applicants across every job posted for the company, for admins of a
+// verified company
+const getCompanyApplicants = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { page = 1, limit = 10, stage, jobId } = req.query
+
+    const company = await Company.findById(req.params.id)
+    if (!company) {
+      return res
+        .status(404)
+        .json({ message: 'Company not found', success: false })
+    }
+
+    if (!company.isVerifiedAdmin(req.user._id)) {
+      return res.status(403).json({
+        message: 'You cannot see the details of applicants',
+        success: false,
+      })
+    }
+
+    const jobIds = await Job.find({ companyId: company._id }).distinct('_id')
+
+    const filter = { job: { $in: jobIds } }
+    if (jobId) {
+      if (!jobIds.some((id) => id.toString() === String(jobId))) {
+        return res
+          .status(404)
+          .json({ message: 'Job not found', success: false })
+      }
+      filter.job = jobId
+    }
+    // Withdrawn applicants leave the active pipeline unless asked for
+    if (stage) {
+      filter.stage = stage
+    } else {
+      filter.stage = { $ne: 'withdrawn' }
+    }
+
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = parseInt(limit, 10) || 10
+    const skip = (pageNumber - 1) * limitNumber
+
+    const totalApplicants = await Application.countDocuments(filter)
+    const applications = await Application.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNumber)
+      .populate('applicant', 'username firstName lastName email profileImg bio')
+      .populate('referredBy', 'username firstName lastName profileImg')
+      .populate('job', 'position location type status postedBy')
+
+    const data = applications.map((application) => ({
+      ...application.toJSON(),
+      resume: describeAttachment(
+        req,
+        application._id,
+        'resume',
+        application.resume,
+      ),
+      coverLetterFile: describeAttachment(
+        req,
+        application._id,
+        'coverLetter',
+        application.coverLetterFile,
+      ),
+    }))
+
+    return res.status(200).json({
+      message: 'Applicants retrieved successfully',
+      success: true,
+      data,
+      totalApplicants,
+      totalPages: Math.ceil(totalApplicants / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error retrieving company applicants:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getCompanyApplicants
@@ -0,0 +1,66 @@
+const Company = require('../../models/Company')
+const Job = require('../../models/Job')
+const {
+  publicJobFilter,
+  getBlockedPosterIds,
+} = require('../../utils/job/jobQuery')
+
+// Company page with its open jobs
+const getCompanyBySlug = async (req, res) => {
+  try {
+    const { slug } = req.params
+    const { page = 1, limit = 10 } = req.query
+
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = parseInt(limit, 10) || 10
+    const skip = (pageNumber - 1) * limitNumber
+
+    const company = await Company.findOne({
+      slug: slug.toLowerCase(),
+    }).populate('admins', 'username firstName lastName profileImg')
+    // Pages waiting for verification are only shown to their admins and
+    // to site admins
+    const isAdmin = Boolean(company && company.isAdmin(req.user._id))
+    if (
+      !company ||
+      (company.verificationStatus !== 'verified' &&
+        !isAdmin &&
+        req.user.role !== 'admin')
+    ) {
+      return res
+        .status(404)
+        .json({ message: 'Company not found', success: false })
+    }
+
+    const filter = {
+      companyId: company._id,
+      ...publicJobFilter,
+      postedBy: { $nin: await getBlockedPosterIds(req.user._id) },
+    }
+
+    const totalJobs = await Job.countDocuments(filter)
+    const jobs = await Job.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNumber)
+      .select('-screeningQuestions.knockout -flags')
+
+    return res.status(200).json({
+      message: 'Company retrieved successfully',
+      success: true,
+      company,
+      isAdmin,
+      jobs,
+      totalJobs,
+      totalPages: Math.ceil(totalJobs / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error retrieving company:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getCompanyBySlug
@@ -0,0 +1,38 @@
+const Company = require('../../models/Company')
+
+// Company pages waiting for a site admin to confirm the claim, oldest first
+const getCompanyVerificationQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query
+
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = parseInt(limit, 10) || 10
+    const skip = (pageNumber - 1) * limitNumber
+
+    const filter = { verificationStatus: 'pending' }
+
+    const totalCompanies = await Company.countDocuments(filter)
+    const companies = await Company.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limitNumber)
+      .populate('createdBy', 'username firstName lastName email profileImg')
+      .populate('admins', 'username firstName lastName email')
+
+    return res.status(200).json({
+      message: 'Verification queue retrieved successfully',
+      success: true,
+      data: companies,
+      totalCompanies,
+      totalPages: Math.ceil(totalCompanies / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error retrieving company verification queue:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getCompanyVerificationQueue
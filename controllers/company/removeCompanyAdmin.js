@@ -0,0 +1,55 @@
+const Company = require('../../models/Company')
+
+const removeCompanyAdmin = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { id, userId } = req.params
+
+    const company = await Company.findById(id)
+    if (!company) {
+      return res
+        .status(404)
+        .json({ message: 'Company not found', success: false })
+    }
+
+    // Admins can remove others or step down themselves
+    if (!company.isVerifiedAdmin(req.user._id)) {
+      return res.status(403).json({
+        message: 'Only admins of a verified company can remove admins',
+        success: false,
+      })
+    }
+
+    if (!company.isAdmin(userId)) {
+      return res
+        .status(404)
+        .json({ message: 'User is not an admin', success: false })
+    }
+
+    if (company.admins.length === 1) {
+      return res.status(400).json({
+        message: 'A company needs at least one admin',
+        success: false,
+      })
+    }
+
+    company.admins.pull(userId)
+    await company.save()
+
+    return res.status(200).json({
+      message: 'Admin removed successfully',
+      success: true,
+      admins: company.admins,
+    })
+  } catch (error) {
+    console.error('Error removing company admin:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = removeCompanyAdmin
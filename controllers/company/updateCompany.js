@@ -0,0 +1,82 @@
+const Company = require('../../models/Company')
+const Job = require('../../models/Job')
+
+const updateCompany = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const company = await Company.findById(req.params.id)
+    if (!company) {
+      return res
+        .status(404)
+        .json({ message: 'Company not found', success: false })
+    }
+
+    if (!company.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        message: 'Only company admins can edit this page',
+        success: false,
+      })
+    }
+
+    const editableFields = ['name', 'logo', 'description', 'website', 'size']
+    for (const field of editableFields) {
+      if (req.body[field] !== undefined) company[field] = req.body[field]
+    }
+
+    // Renaming moves the page to a new slug if nobody else holds it
+    const nameChanged = company.isModified('name')
+    if (nameChanged) {
+      const slug = Company.slugify(company.name)
+      if (!slug) {
+        return res
+          .status(400)
+          .json({ message: 'Invalid company name', success: false })
+      }
+      if (
+        slug !== company.slug &&
+        (await Company.exists({ slug, _id: { $ne: company._id } }))
+      ) {
+        return res.status(409).json({
+          message: 'Another company already uses this name',
+          success: false,
+        })
+      }
+      company.slug = slug
+      // The verification was for the old name
+      if (company.verificationStatus === 'verified') {
+        company.verificationStatus = 'pending'
+        company.verifiedBy = null
+        company.verifiedAt = null
+      }
+    }
+
+    await company.save()
+
+    // Keep the display name on linked jobs in sync
+    if (nameChanged) {
+      await Job.updateMany(
+        { companyId: company._id },
+        { $set: { company: company.name } },
+      )
+    }
+
+    return res.status(200).json({
+      message: 'Company updated successfully',
+      success: true,
+      company,
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, success: false })
+    }
+    console.error('Error updating company:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = updateCompany
@@ -0,0 +1,82 @@
+const Company = require('../../models/Company')
+const Job = require('../../models/Job')
+const notifyUser = require('../../utils/main/notifyUser')
+
+const verifyCompany = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { decision, reason } = req.body
+
+    if (!['verified', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        message: 'Decision must be verified or rejected',
+        success: false,
+      })
+    }
+
+    if (decision === 'rejected' && (!reason || !String(reason).trim())) {
+      return res.status(400).json({
+        message: 'A reason is required to reject a company',
+        success: false,
+      })
+    }
+
+    const company = await Company.findById(id)
+    if (!company) {
+      return res
+        .status(404)
+        .json({ message: 'Company not found', success: false })
+    }
+
+    if (company.verificationStatus !== 'pending') {
+      return res.status(409).json({
+        message: 'This company is not waiting for verification',
+        success: false,
+      })
+    }
+
+    company.verificationStatus = decision
+    company.verificationReason = reason ? String(reason).trim() : null
+    company.verifiedBy = req.user._id
+    company.verifiedAt = new Date()
+    await company.save()
+
+    // Jobs linked to a rejected page keep the company name as plain text
+    if (decision === 'rejected') {
+      await Job.updateMany(
+        { companyId: company._id },
+        { $set: { companyId: null } },
+      )
+    }
+
+    await Promise.all(
+      company.admins.map((admin) =>
+        notifyUser({
+          recipient: admin,
+          sender: req.user._id,
+          type: 'job',
+          title:
+            decision === 'verified' ? 'Company verified' : 'Company rejected',
+          message:
+            decision === 'verified'
+              ? `${company.name} was verified, you can now post jobs for it`
+              : `${company.name} was rejected: ${company.verificationReason}`,
+          metadata: { companyId: company._id, verificationStatus: decision },
+        }),
+      ),
+    )
+
+    return res.status(200).json({
+      message: `Company ${decision} successfully`,
+      success: true,
+      company,
+    })
+  } catch (error) {
+    console.error('Error verifying company:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = verifyCompany
@@ -0,0 +1,100 @@
+const Job = require('../../models/Job')
+const Company = require('../../models/Company')
+const { publicJobFilter, toList } = require('../../utils/job/jobQuery')
+const {
+  contentTypes,
+  lastModified,
+  feedEtag,
+  renderJobFeed,
+} = require('../../utils/job/jobFeed')
+
+// Readers poll feeds, so responses can be cached for a few minutes
+const cacheMaxAge = 5 * 60
+
+// Public feed of open jobs, GET /feeds/jobs.rss, /feeds/jobs.atom or
+// /feeds/jobs.json. No authentication, so only approved jobs are listed.
+const getJobFeed = async (req, res) => {
+  try {
+    const { format } = req.params
+    const { company, limit = 50 } = req.query
+
+    // The jobs the feed is about, open or not. Last-Modified moves when any
+    // of them changes, so jobs leaving the feed move it too.
+    const scope = {}
+
+    const listFilters = {
+      category: req.query.category,
+      type: req.query.type,
+      location: req.query.location,
+    }
+    for (const [field, value] of Object.entries(listFilters)) {
+      const values = toList(value)
+      const allowed = Job.schema.path(field).enumValues
+      if (values.some((item) => !allowed.includes(item))) {
+        return res
+          .status(400)
+          .json({ message: `Invalid job ${field}`, success: false })
+      }
+      if (values.length) scope[field] = { $in: values }
+    }
+
+    // `company` is the slug of a company page
+    if (company) {
+      const page = await Company.findOne({ slug: String(company) }).select(
+        '_id',
+      )
+      if (!page) {
+        return res
+          .status(404)
+          .json({ message: 'Company not found', success: false })
+      }
+      scope.companyId = page._id
+    }
+
+    const now = new Date()
+    const filter = {
+      ...scope,
+      ...publicJobFilter,
+      $or: [
+        { applicationDeadline: null },
+        { applicationDeadline: { $gt: now } },
+      ],
+    }
+
+    const limitNumber = Math.min(parseInt(limit, 10) || 50, 100)
+    const jobs = await Job.find(filter)
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(limitNumber)
+      .select(
+        'position company type location category duration description compensation applicationDeadline publishedAt createdAt updatedAt',
+      )
+      .lean()
+
+    const updated = await lastModified(scope, now)
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`
+    const selfUrl = `${baseUrl}${req.originalUrl}`
+
+    res.set({
+      'Content-Type': contentTypes[format],
+      'Cache-Control': `public, max-age=${cacheMaxAge}`,
+      ETag: feedEtag(format, selfUrl, updated, jobs),
+    })
+    // A feed that never had jobs has no last change to compare against
+    if (updated) res.set('Last-Modified', updated.toUTCString())
+
+    // Conditional GET: If-None-Match / If-Modified-Since
+    if (req.fresh) return res.status(304).end()
+
+    return res
+      .status(200)
+      .send(renderJobFeed(format, { jobs, baseUrl, selfUrl, updated }))
+  } catch (error) {
+    console.error('Error building job feed:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getJobFeed
@@ -0,0 +1,58 @@
+const Hashtag = require('../../models/Hashtag')
+const User = require('../../models/User')
+const { normaliseHashtag } = require('../../utils/post/hashtags')
+
+// Follow or unfollow a hashtag, both actions are handled here
+const followOrUnfollowHashtag = async (req, res) => {
+  try {
+    const hashtag = await Hashtag.findOne({
+      name: normaliseHashtag(req.params.name),
+    })
+    if (!hashtag) {
+      return res
+        .status(404)
+        .json({ message: 'Hashtag not found', success: false })
+    }
+
+    // The filters make repeated requests safe, counts only move on a change
+    const unfollowed = await User.updateOne(
+      { _id: req.user._id, followedHashtags: hashtag._id },
+      { $pull: { followedHashtags: hashtag._id } },
+    )
+    if (unfollowed.modifiedCount) {
+      await Hashtag.updateOne(
+        { _id: hashtag._id, followersCount: { $gt: 0 } },
+        { $inc: { followersCount: -1 } },
+      )
+      return res.status(200).json({
+        message: 'Hashtag unfollowed successfully',
+        success: true,
+        isFollowing: false,
+      })
+    }
+
+    const followed = await User.updateOne(
+      { _id: req.user._id, followedHashtags: { $ne: hashtag._id } },
+      { $push: { followedHashtags: hashtag._id } },
+    )
+    if (followed.modifiedCount) {
+      await Hashtag.updateOne(
+        { _id: hashtag._id },
+        { $inc: { followersCount: 1 } },
+      )
+    }
+
+    return res.status(200).json({
+      message: 'Hashtag followed successfully',
+      success: true,
+      isFollowing: true,
+    })
+  } catch (error) {
+    console.error('Error following hashtag:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = followOrUnfollowHashtag
@@ -0,0 +1,24 @@
+const Hashtag = require('../../models/Hashtag')
+
+const getFollowedHashtags = async (req, res) => {
+  try {
+    const hashtags = await Hashtag.find({
+      _id: { $in: req.user.followedHashtags || [] },
+    })
+      .sort({ name: 1 })
+      .select('name display postsCount followersCount')
+
+    return res.status(200).json({
+      message: 'Followed hashtags retrieved successfully',
+      success: true,
+      data: hashtags,
+    })
+  } catch (error) {
+    console.error('Error retrieving followed hashtags:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getFollowedHashtags
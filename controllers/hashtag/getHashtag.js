@@ -0,0 +1,33 @@
+const Hashtag = require('../../models/Hashtag')
+const { normaliseHashtag } = require('../../utils/post/hashtags')
+
+const getHashtag = async (req, res) => {
+  try {
+    const hashtag = await Hashtag.findOne({
+      name: normaliseHashtag(req.params.name),
+    }).select('name display postsCount followersCount lastUsedAt')
+
+    if (!hashtag) {
+      return res
+        .status(404)
+        .json({ message: 'Hashtag not found', success: false })
+    }
+
+    const isFollowing = (req.user.followedHashtags || []).some((id) =>
+      id.equals(hashtag._id),
+    )
+
+    return res.status(200).json({
+      message: 'Hashtag retrieved successfully',
+      success: true,
+      hashtag: { ...hashtag.toJSON(), isFollowing },
+    })
+  } catch (error) {
+    console.error('Error retrieving hashtag:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getHashtag
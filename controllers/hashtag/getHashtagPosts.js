@@ -0,0 +1,56 @@
+const Post = require('../../models/Post')
+const { normaliseHashtag } = require('../../utils/post/hashtags')
+const { withLikedState } = require('../../utils/post/engagement')
+const {
+  publishedPostFilter,
+  getHiddenAuthorIds,
+} = require('../../utils/post/postVisibility')
+
+// Posts using a hashtag, newest first or, with `sortBy=top`, most liked first
+const getHashtagPosts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, sortBy = 'recent' } = req.query
+    const name = normaliseHashtag(req.params.name)
+
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = Math.min(parseInt(limit, 10) || 20, 50)
+    const skip = (pageNumber - 1) * limitNumber
+
+    const filter = {
+      ...publishedPostFilter,
+      hashtags: name,
+      isDeleted: { $ne: true },
+      author: { $nin: await getHiddenAuthorIds(req.user) },
+    }
+
+    const totalPosts = await Post.countDocuments(filter)
+
+    const sort =
+      sortBy === 'top'
+        ? { likesCount: -1, postedAt: -1, _id: -1 }
+        : { postedAt: -1, _id: -1 }
+    const posts = await Post.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limitNumber)
+      .populate('author', 'username profileImg')
+      .lean()
+
+    return res.status(200).json({
+      message: 'Posts retrieved successfully',
+      success: true,
+      hashtag: name,
+      data: await withLikedState(posts, req.user._id),
+      totalPosts,
+      totalPages: Math.ceil(totalPosts / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error retrieving hashtag posts:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getHashtagPosts
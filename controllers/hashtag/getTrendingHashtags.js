@@ -0,0 +1,34 @@
+const {
+  trendingWindows,
+  findTrendingHashtags,
+} = require('../../utils/post/hashtags')
+
+const getTrendingHashtags = async (req, res) => {
+  try {
+    const { window = '24h', limit = 10 } = req.query
+
+    if (!trendingWindows[window]) {
+      return res.status(400).json({
+        message: `Window must be one of ${Object.keys(trendingWindows).join(', ')}`,
+        success: false,
+      })
+    }
+
+    const limitNumber = Math.min(parseInt(limit, 10) || 10, 50)
+    const hashtags = await findTrendingHashtags(window, limitNumber)
+
+    return res.status(200).json({
+      message: 'Trending hashtags retrieved successfully',
+      success: true,
+      window,
+      data: hashtags,
+    })
+  } catch (error) {
+    console.error('Error retrieving trending hashtags:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getTrendingHashtags
@@ -0,0 +1,41 @@
+const Hashtag = require('../../models/Hashtag')
+const { normaliseHashtag } = require('../../utils/post/hashtags')
+
+// Characters with a meaning in regular expressions
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Autocomplete: hashtags starting with `q`, most used first
+const searchHashtags = async (req, res) => {
+  try {
+    const { q, limit = 10 } = req.query
+
+    const prefix = normaliseHashtag(q).trim()
+    if (!prefix) {
+      return res
+        .status(400)
+        .json({ message: 'Search text is required', success: false })
+    }
+
+    const limitNumber = Math.min(parseInt(limit, 10) || 10, 50)
+    const hashtags = await Hashtag.find({
+      name: { $regex: `^${escapeRegex(prefix)}` },
+      postsCount: { $gt: 0 },
+    })
+      .sort({ postsCount: -1, name: 1 })
+      .limit(limitNumber)
+      .select('name display postsCount followersCount')
+
+    return res.status(200).json({
+      message: 'Hashtags retrieved successfully',
+      success: true,
+      data: hashtags,
+    })
+  } catch (error) {
+    console.error('Error searching hashtags:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = searchHashtags
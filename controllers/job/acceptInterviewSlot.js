@@ -0,0 +1,88 @@
+const Application = require('../../models/Application')
+const notifyUser = require('../../utils/main/notifyUser')
+
+const acceptInterviewSlot = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { applicationId } = req.params
+    const { slotId } = req.body
+
+    const application = await Application.findById(applicationId).populate(
+      'job',
+      'position company',
+    )
+    if (!application || !application.job) {
+      return res
+        .status(404)
+        .json({ message: 'Application not found', success: false })
+    }
+
+    if (application.applicant.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied', success: false })
+    }
+
+    const { interview } = application
+    if (!interview || interview.status !== 'proposed') {
+      return res.status(400).json({
+        message: 'There are no interview slots to accept',
+        success: false,
+      })
+    }
+
+    if (['rejected', 'withdrawn'].includes(application.stage)) {
+      return res.status(400).json({
+        message: `This application has been ${application.stage}`,
+        success: false,
+      })
+    }
+
+    const slot = interview.slots.id(slotId)
+    if (!slot) {
+      return res
+        .status(404)
+        .json({ message: 'Interview slot not found', success: false })
+    }
+    if (slot.startsAt <= new Date()) {
+      return res
+        .status(400)
+        .json({ message: 'This slot has already passed', success: false })
+    }
+
+    interview.status = 'scheduled'
+    interview.startsAt = slot.startsAt
+    interview.endsAt = slot.endsAt
+    interview.acceptedAt = new Date()
+    interview.remindersSent = []
+    await application.save()
+
+    const { job } = application
+    await notifyUser({
+      recipient: interview.proposedBy,
+      sender: req.user._id,
+      type: 'job',
+      title: 'Interview scheduled',
+      message: `${req.user.username} accepted an interview for ${job.position} on ${slot.startsAt.toUTCString()}`,
+      metadata: {
+        jobId: job._id,
+        applicationId: application._id,
+        startsAt: slot.startsAt,
+      },
+    })
+
+    return res.status(200).json({
+      message: 'Interview scheduled successfully',
+      success: true,
+      interview,
+    })
+  } catch (error) {
+    console.error('Error accepting interview slot:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = acceptInterviewSlot
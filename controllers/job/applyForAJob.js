@@ -1,5 +1,18 @@
 const Job = require('../../models/Job')
-const User = require('../../models/User')
+const Application = require('../../models/Application')
+const Referral = require('../../models/Referral')
+const { resolveAttachment } = require('../../utils/job/attachments')
+const { evaluateAnswers } = require('../../utils/job/screeningQuestions')
+const {
+  getApplicationBlocker,
+  claimApplicantPlace,
+  releaseApplicantPlace,
+  closeJob,
+} = require('../../utils/job/jobLifecycle')
+const {
+  findReferralForApplication,
+  notifyReferrer,
+} = require('../../utils/job/referrals')
 
 const applyForAJob = async (req, res) => {
   try {
@@ -8,46 +21,211 @@ const applyForAJob = async (req, res) => {
     }
 
     const { id } = req.params
+    const {
+      resumeURL,
+      resumeFileName,
+      coverLetter,
+      coverLetterURL,
+      coverLetterFileName,
+      answers,
+      referralId,
+    } = req.body
 
     // Check if job exists
-    const job = await Job.findById(id)
+    const job = await Job.findById(id).populate('postedBy', 'blockedUsers')
     if (!job) {
       return res.status(404).json({ message: 'Job not found', success: false })
     }
 
-    if (job.postedBy.toString() === req.user._id.toString()) {
+    if (job.postedBy._id.toString() === req.user._id.toString()) {
       return res
         .status(400)
         .json({ message: 'You cannot apply for your own job', success: false })
     }
 
-    // Check if the user has already applied
-    if (job.applicants.includes(req.user._id)) {
+    if (job.postedBy.blockedUsers.includes(req.user._id)) {
+      return res.status(400).json({
+        message: 'You cannot apply for this job',
+        success: false,
+      })
+    }
+
+    // Drafts, paused, closed and expired jobs refuse applications
+    const blocker = await getApplicationBlocker(job)
+    if (blocker) {
+      return res.status(400).json({ message: blocker, success: false })
+    }
+
+    // Check if the user has already applied. Applicants who withdrew can
+    // apply again when the poster allows it.
+    const existingApplication = await Application.findOne({
+      job: job._id,
+      applicant: req.user._id,
+    })
+    if (existingApplication && existingApplication.stage !== 'withdrawn') {
       return res.status(400).json({
         message: 'You have already applied for this job',
         success: false,
       })
     }
+    if (existingApplication && !job.allowReapply) {
+      return res.status(400).json({
+        message: 'This job does not accept applications after withdrawing',
+        success: false,
+      })
+    }
 
-    if (job.postedBy.blockedUsers.includes(req.user._id)) {
+    const resume = resolveAttachment(resumeURL, resumeFileName, req.user._id)
+    if (resumeURL && !resume) {
       return res.status(400).json({
-        message: 'You cannot apply for this job',
+        message:
+          'Resume must be a PDF, Word or text file you uploaded through /api/uploads/documents or a private S3 upload',
         success: false,
       })
     }
 
-    // Add user to applicants list
-    job.applicants.push(req.user._id)
-    await job.save()
+    const coverLetterFile = resolveAttachment(
+      coverLetterURL,
+      coverLetterFileName,
+      req.user._id,
+    )
+    if (coverLetterURL && !coverLetterFile) {
+      return res.status(400).json({
+        message:
+          'Cover letter must be a PDF, Word or text file you uploaded through /api/uploads/documents or a private S3 upload',
+        success: false,
+      })
+    }
 
-    // Add the job in users applied jobs as well
-    req.user.appliedJobs.push(job._id)
-    await req.user.save()
+    if (coverLetter && typeof coverLetter !== 'string') {
+      return res
+        .status(400)
+        .json({ message: 'Cover letter must be text', success: false })
+    }
 
-    return res
-      .status(200)
-      .json({ message: 'Successfully applied for the job', success: true })
+    // Validate the answers to the job's screening questions
+    const screening = evaluateAnswers(job, answers)
+    if (screening.error) {
+      return res.status(400).json({ message: screening.error, success: false })
+    }
+
+    // Credit the referral the candidate applied through, if any. Re-applying
+    // keeps the referral of the first application.
+    const keepsReferral = Boolean(
+      existingApplication && existingApplication.referral,
+    )
+    const referral = keepsReferral
+      ? null
+      : await findReferralForApplication(job, req.user._id, referralId)
+    if (referralId && !referral && !keepsReferral) {
+      return res
+        .status(400)
+        .json({ message: 'Referral not found', success: false })
+    }
+
+    const stageHistory = [
+      {
+        from: existingApplication ? 'withdrawn' : null,
+        to: 'applied',
+        changedBy: req.user._id,
+        note: existingApplication ? 'Re-applied' : undefined,
+      },
+    ]
+    const rejectedBy = screening.knockouts.filter(
+      (knockout) => knockout.action === 'reject',
+    )
+    const flaggedBy = screening.knockouts.filter(
+      (knockout) => knockout.action === 'flag',
+    )
+    if (rejectedBy.length) {
+      stageHistory.push({
+        from: 'applied',
+        to: 'rejected',
+        note: `Automatically rejected: ${rejectedBy
+          .map((knockout) => knockout.question)
+          .join(', ')}`,
+      })
+    }
+
+    const fields = {
+      stage: rejectedBy.length ? 'rejected' : 'applied',
+      // Fall back to the resume saved on the profile
+      resume: resume || resolveAttachment(req.user.resume, null, req.user._id),
+      coverLetter,
+      coverLetterFile,
+      answers: screening.answers,
+      flagged: flaggedBy.length > 0,
+      flagReasons: flaggedBy.map((knockout) => knockout.question),
+      interview: null,
+    }
+    if (referral) {
+      fields.referral = referral._id
+      fields.referredBy = referral.referrer
+    }
+
+    // Take a place before saving, so concurrent applies cannot go over
+    // `maxApplicants`
+    const activeApplicants = await claimApplicantPlace(job)
+    if (activeApplicants === null) {
+      return res.status(400).json({
+        message: 'This job has reached its maximum number of applicants',
+        success: false,
+      })
+    }
+
+    // A re-application reuses the withdrawn one so its history is kept
+    let application
+    try {
+      if (existingApplication) {
+        application = existingApplication
+        application.set(fields)
+        application.stageHistory.push(...stageHistory)
+        await application.save()
+      } else {
+        application = await Application.create({
+          job: job._id,
+          applicant: req.user._id,
+          stageHistory,
+          ...fields,
+        })
+      }
+    } catch (error) {
+      await releaseApplicantPlace(job._id)
+      throw error
+    }
+
+    if (referral) {
+      await Referral.updateOne(
+        { _id: referral._id },
+        { $set: { application: application._id } },
+      )
+    }
+    if (application.referredBy) {
+      notifyReferrer(application, job).catch((error) =>
+        console.error('Error notifying referrer:', error),
+      )
+    }
+
+    // Close the job as soon as it fills up
+    if (job.maxApplicants && activeApplicants >= job.maxApplicants) {
+      closeJob(job, 'closed', 'max-applicants').catch((error) =>
+        console.error('Error closing job:', error),
+      )
+    }
+
+    return res.status(200).json({
+      message: 'Successfully applied for the job',
+      success: true,
+      application: application.toApplicantJSON(),
+    })
   } catch (error) {
+    // Unique (job, applicant) index hit by a concurrent request
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'You have already applied for this job',
+        success: false,
+      })
+    }
     console.error('Error applying for job:', error)
     return res
       .status(500)
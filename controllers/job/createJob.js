@@ -1,5 +1,12 @@
 const Job = require('../../models/Job')
 const User = require('../../models/User')
+const {
+  validateScreeningQuestions,
+} = require('../../utils/job/screeningQuestions')
+const { validateLifecycleFields } = require('../../utils/job/jobLifecycle')
+const { getPostingCompany } = require('../../utils/job/jobPermissions')
+const { validateCompensation } = require('../../utils/job/compensation')
+const { resolveJobSkills } = require('../../utils/job/skills')
 
 const createJob = async (req, res) => {
   try {
@@ -17,12 +24,20 @@ const createJob = async (req, res) => {
       type,
       location,
       description,
-      salary,
+      compensation,
       duration,
       minReq,
+      requiredSkills,
+      niceToHaveSkills,
       imageURL,
       category,
       company,
+      companyId,
+      screeningQuestions,
+      applicationDeadline,
+      maxApplicants,
+      allowReapply,
+      status = 'published',
     } = req.body
 
     // Validate required fields
@@ -34,7 +49,7 @@ const createJob = async (req, res) => {
       !duration ||
       !minReq ||
       !category ||
-      !company
+      (!company && !companyId)
     ) {
       return res
         .status(400)
@@ -64,6 +79,51 @@ const createJob = async (req, res) => {
         .json({ message: 'Invalid job category', success: false })
     }
 
+    const pay =
+      compensation === undefined
+        ? { compensation: null }
+        : validateCompensation(compensation)
+    if (pay.error) {
+      return res.status(400).json({ message: pay.error, success: false })
+    }
+
+    const skills = await resolveJobSkills({ requiredSkills, niceToHaveSkills })
+    if (skills.error) {
+      return res.status(400).json({ message: skills.error, success: false })
+    }
+
+    const screening = validateScreeningQuestions(screeningQuestions)
+    if (screening.error) {
+      return res.status(400).json({ message: screening.error, success: false })
+    }
+
+    // Posting on behalf of a company page takes the company's name
+    let postingCompany = null
+    if (companyId) {
+      const result = await getPostingCompany(companyId, req.user._id)
+      if (result.error) {
+        return res
+          .status(result.status)
+          .json({ message: result.error, success: false })
+      }
+      postingCompany = result.company
+    }
+
+    // Jobs can be saved as drafts and published later
+    if (!['draft', 'published'].includes(status)) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid job status', success: false })
+    }
+
+    const lifecycle = validateLifecycleFields({
+      applicationDeadline,
+      maxApplicants,
+    })
+    if (lifecycle.error) {
+      return res.status(400).json({ message: lifecycle.error, success: false })
+    }
+
     // Create a new job
     const newJob = new Job({
       postedBy: req.user._id,
@@ -71,12 +131,20 @@ const createJob = async (req, res) => {
       type,
       location,
       description,
-      salary: salary || 0, // Default value if salary is not provided
+      compensation: pay.compensation,
       duration,
       minReq,
+      ...skills.fields,
       imageURL: imageURL || null, // Default to null if not provided
       category,
-      company,
+      company: postingCompany ? postingCompany.name : company,
+      companyId: postingCompany ? postingCompany._id : null,
+      screeningQuestions: screening.questions,
+      ...lifecycle.fields,
+      // Multipart bodies send booleans as strings
+      allowReapply: allowReapply === true || allowReapply === 'true',
+      status,
+      publishedAt: status === 'published' ? new Date() : null,
     })
 
     req.user.postedJobs.push(newJob._id)
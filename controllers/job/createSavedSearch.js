@@ -0,0 +1,49 @@
+const SavedSearch = require('../../models/SavedSearch')
+const { validateSearchCriteria } = require('../../utils/job/jobAlerts')
+
+const createSavedSearch = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { name, criteria, frequency = 'instant' } = req.body
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res
+        .status(400)
+        .json({ message: 'Search name is required', success: false })
+    }
+
+    if (!['instant', 'daily'].includes(frequency)) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid alert frequency', success: false })
+    }
+
+    const validation = validateSearchCriteria(criteria)
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error, success: false })
+    }
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user._id,
+      name: name.trim(),
+      criteria: validation.criteria,
+      frequency,
+    })
+
+    return res.status(201).json({
+      message: 'Search saved successfully',
+      success: true,
+      savedSearch,
+    })
+  } catch (error) {
+    console.error('Error saving search:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = createSavedSearch
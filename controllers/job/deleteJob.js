@@ -1,4 +1,7 @@
 const Job = require('../../models/Job')
+const Application = require('../../models/Application')
+const JobView = require('../../models/JobView')
+const Referral = require('../../models/Referral')
 
 const deleteJob = async (req, res) => {
   try {
@@ -21,7 +24,10 @@ const deleteJob = async (req, res) => {
 
     // Delete the job
     await Job.findByIdAndDelete(id)
-    req.user.postedJobs.pop(id)
+    await Application.deleteMany({ job: id })
+    await JobView.deleteMany({ job: id })
+    await Referral.deleteMany({ job: id })
+    req.user.postedJobs.pull(id)
     await req.user.save()
 
     return res
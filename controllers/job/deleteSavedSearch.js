@@ -0,0 +1,32 @@
+const SavedSearch = require('../../models/SavedSearch')
+
+const deleteSavedSearch = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { searchId } = req.params
+
+    const savedSearch = await SavedSearch.findOneAndDelete({
+      _id: searchId,
+      user: req.user._id,
+    })
+    if (!savedSearch) {
+      return res
+        .status(404)
+        .json({ message: 'Saved search not found', success: false })
+    }
+
+    return res
+      .status(200)
+      .json({ message: 'Saved search deleted successfully', success: true })
+  } catch (error) {
+    console.error('Error deleting saved search:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = deleteSavedSearch
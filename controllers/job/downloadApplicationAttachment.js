@@ -0,0 +1,56 @@
+const Application = require('../../models/Application')
+const { sendAttachment } = require('../../utils/job/attachments')
+const { canManageApplicants } = require('../../utils/job/jobPermissions')
+
+const downloadApplicationAttachment = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { applicationId, kind } = req.params
+
+    const fields = { resume: 'resume', coverLetter: 'coverLetterFile' }
+    if (!fields[kind]) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid attachment type', success: false })
+    }
+
+    const application = await Application.findById(applicationId).populate(
+      'job',
+      'postedBy companyId',
+    )
+    if (!application || !application.job) {
+      return res
+        .status(404)
+        .json({ message: 'Application not found', success: false })
+    }
+
+    // Only the people reviewing the job (and the applicant) may read the files
+    const isApplicant =
+      application.applicant.toString() === req.user._id.toString()
+    if (
+      !isApplicant &&
+      !(await canManageApplicants(application.job, req.user._id))
+    ) {
+      return res.status(403).json({ message: 'Access denied', success: false })
+    }
+
+    const attachment = application[fields[kind]]
+    if (!attachment) {
+      return res
+        .status(404)
+        .json({ message: 'Attachment not found', success: false })
+    }
+
+    return await sendAttachment(res, attachment)
+  } catch (error) {
+    console.error('Error downloading application attachment:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = downloadApplicationAttachment
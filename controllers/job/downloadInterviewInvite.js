@@ -0,0 +1,65 @@
+const Application = require('../../models/Application')
+const { canManageApplicants } = require('../../utils/job/jobPermissions')
+const { buildInterviewInvite } = require('../../utils/job/interviews')
+
+const personFields = 'username firstName lastName email'
+
+const downloadInterviewInvite = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const application = await Application.findById(req.params.applicationId)
+      .populate('job', 'position company postedBy companyId')
+      .populate('applicant', personFields)
+      .populate('interview.proposedBy', personFields)
+    if (!application || !application.job) {
+      return res
+        .status(404)
+        .json({ message: 'Application not found', success: false })
+    }
+
+    // The applicant and the people reviewing the job can download the invite.
+    // `applicant` is null once the applicant's account is deleted.
+    const isApplicant = Boolean(
+      application.applicant &&
+      application.applicant._id.toString() === req.user._id.toString(),
+    )
+    if (
+      !isApplicant &&
+      !(await canManageApplicants(application.job, req.user._id))
+    ) {
+      return res.status(403).json({ message: 'Access denied', success: false })
+    }
+
+    const { interview } = application
+    if (!interview || interview.status !== 'scheduled') {
+      return res.status(404).json({
+        message: 'This interview has not been scheduled yet',
+        success: false,
+      })
+    }
+
+    const invite = buildInterviewInvite({
+      application,
+      job: application.job,
+      organizer: interview.proposedBy,
+      applicant: application.applicant,
+    })
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="interview-${application._id}.ics"`,
+    )
+    return res.status(200).send(invite)
+  } catch (error) {
+    console.error('Error downloading interview invite:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = downloadInterviewInvite
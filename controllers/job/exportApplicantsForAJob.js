@@ -0,0 +1,67 @@
+const Job = require('../../models/Job')
+const Application = require('../../models/Application')
+const { canManageApplicants } = require('../../utils/job/jobPermissions')
+const { streamApplicants } = require('../../utils/job/applicantExport')
+
+const contentTypes = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+}
+
+const exportApplicantsForAJob = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { format = 'csv', stage } = req.query
+
+    if (!contentTypes[format]) {
+      return res
+        .status(400)
+        .json({ message: 'Format must be csv or json', success: false })
+    }
+
+    const job = await Job.findById(id)
+
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found', success: false })
+    }
+
+    // Same rule as the applicant list: the poster or an admin of its company
+    if (!(await canManageApplicants(job, req.user._id))) {
+      return res.status(403).json({
+        message: 'You cannot see the details of applicants',
+        success: false,
+      })
+    }
+
+    const filter = { job: job._id }
+    // Withdrawn applicants leave the active pipeline unless asked for
+    if (stage) {
+      filter.stage = stage
+    } else {
+      filter.stage = { $ne: 'withdrawn' }
+    }
+
+    res.setHeader('Content-Type', contentTypes[format])
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="applicants-${job._id}.${format}"`,
+    )
+
+    await streamApplicants(req, res, {
+      job,
+      query: Application.find(filter).sort({ createdAt: 1, _id: 1 }),
+      format,
+    })
+  } catch (error) {
+    console.error('Error exporting applicants:', error)
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error)
+    }
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = exportApplicantsForAJob
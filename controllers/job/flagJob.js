@@ -0,0 +1,57 @@
+const Job = require('../../models/Job')
+
+const flagJob = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { id } = req.params
+    const { reason } = req.body
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res
+        .status(400)
+        .json({ message: 'A reason is required', success: false })
+    }
+
+    const job = await Job.findById(id).select('postedBy flags')
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found', success: false })
+    }
+
+    if (job.postedBy.toString() === req.user._id.toString()) {
+      return res
+        .status(400)
+        .json({ message: 'You cannot flag your own job', success: false })
+    }
+
+    // One report per user. A report queues the job for review without
+    // unlisting it, so a single account cannot take a posting down.
+    const result = await Job.updateOne(
+      { _id: job._id, 'flags.user': { $ne: req.user._id } },
+      {
+        $push: { flags: { user: req.user._id, reason: reason.trim() } },
+        $set: { needsReview: true },
+      },
+      { runValidators: true },
+    )
+    if (!result.modifiedCount) {
+      return res.status(400).json({
+        message: 'You have already flagged this job',
+        success: false,
+      })
+    }
+
+    return res
+      .status(200)
+      .json({ message: 'Job flagged for review', success: true })
+  } catch (error) {
+    console.error('Error flagging job:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = flagJob
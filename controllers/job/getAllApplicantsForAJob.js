@@ -1,4 +1,11 @@
 const Job = require('../../models/Job')
+const Application = require('../../models/Application')
+const { describeAttachment } = require('../../utils/job/attachments')
+const { canManageApplicants } = require('../../utils/job/jobPermissions')
+const {
+  computeSkillMatch,
+  matchScoreStages,
+} = require('../../utils/job/skills')
 
 const getAllApplicantsForAJob = async (req, res) => {
   try {
@@ -8,6 +15,7 @@ const getAllApplicantsForAJob = async (req, res) => {
       limit = 10,
       sortBy = 'createdAt',
       order = 'desc',
+      stage,
     } = req.query
 
     if (!id) {
@@ -16,44 +24,107 @@ const getAllApplicantsForAJob = async (req, res) => {
         .json({ message: 'Job Id is Required', success: false })
     }
 
-    const job = await Job.findById(id)
-      .populate('applicants')
-      .select('-password')
+    const job = await Job.findById(id).populate(
+      'requiredSkills niceToHaveSkills',
+      'name slug category',
+    )
 
     if (!job) {
       return res.status(404).json({ message: 'Job not found', success: false })
     }
 
-    // Check if the user is the job poster
-    if (job.postedBy.toString() !== req.user._id.toString()) {
+    // Check if the user is the job poster or an admin of its company
+    if (!(await canManageApplicants(job, req.user._id))) {
       return res.status(403).json({
         message: 'You cannot see the details of applicants',
         success: false,
       })
     }
 
+    const filter = { job: job._id }
+    // Withdrawn applicants leave the active pipeline unless asked for
+    if (stage) {
+      filter.stage = stage
+    } else {
+      filter.stage = { $ne: 'withdrawn' }
+    }
+
     // Pagination and sorting
     const pageNumber = parseInt(page, 10) || 1
     const limitNumber = parseInt(limit, 10) || 10
     const skip = (pageNumber - 1) * limitNumber
     const sortOrder = order === 'asc' ? 1 : -1
+    const sortField = ['createdAt', 'updatedAt', 'stage', 'match'].includes(
+      sortBy,
+    )
+      ? sortBy
+      : 'createdAt'
 
-    // Sort and paginate applicants
-    const sortedApplicants = job.applicants
-      .sort((a, b) => {
-        if (sortBy === 'name') {
-          return sortOrder * a.name.localeCompare(b.name)
-        }
-        return sortOrder * (new Date(b.createdAt) - new Date(a.createdAt))
-      })
-      .slice(skip, skip + limitNumber)
+    const totalApplicants = await Application.countDocuments(filter)
+
+    // Sorting by skill match ranks the applications in the database first,
+    // then loads the page in that order
+    let query = Application.find(filter)
+    let rankedIds = null
+    if (sortField === 'match') {
+      const ranked = await Application.aggregate([
+        { $match: filter },
+        ...matchScoreStages(job),
+        { $sort: { matchScore: sortOrder, _id: sortOrder } },
+        { $skip: skip },
+        { $limit: limitNumber },
+        { $project: { _id: 1 } },
+      ])
+      rankedIds = ranked.map((application) => application._id.toString())
+      query = Application.find({ _id: { $in: rankedIds } })
+    } else {
+      query = query
+        .sort({ [sortField]: sortOrder, _id: sortOrder })
+        .skip(skip)
+        .limit(limitNumber)
+    }
+
+    const applications = await query
+      .populate(
+        'applicant',
+        'username firstName lastName email profileImg bio skills',
+      )
+      .populate('referredBy', 'username firstName lastName profileImg')
+    if (rankedIds) {
+      applications.sort(
+        (a, b) =>
+          rankedIds.indexOf(a._id.toString()) -
+          rankedIds.indexOf(b._id.toString()),
+      )
+    }
+
+    // Replace raw file URLs with links to the permission-checked download route
+    const data = applications.map((application) => ({
+      ...application.toJSON(),
+      match: computeSkillMatch(
+        job,
+        application.applicant ? application.applicant.skills : [],
+      ),
+      resume: describeAttachment(
+        req,
+        application._id,
+        'resume',
+        application.resume,
+      ),
+      coverLetterFile: describeAttachment(
+        req,
+        application._id,
+        'coverLetter',
+        application.coverLetterFile,
+      ),
+    }))
 
     return res.status(200).json({
       message: 'Applicants retrieved successfully',
       success: true,
-      data: sortedApplicants,
-      totalApplicants: job.applicants.length,
-      totalPages: Math.ceil(job.applicants.length / limitNumber),
+      data,
+      totalApplicants,
+      totalPages: Math.ceil(totalApplicants / limitNumber),
       currentPage: pageNumber,
     })
   } catch (err) {
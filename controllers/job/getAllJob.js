@@ -1,4 +1,8 @@
 const Job = require('../../models/Job')
+const {
+  publicJobFilter,
+  getBlockedPosterIds,
+} = require('../../utils/job/jobQuery')
 
 async function getAllJobs(req, res) {
   try {
@@ -17,24 +21,26 @@ async function getAllJobs(req, res) {
     // Convert order to sorting format
     const sortOrder = order === 'asc' ? 1 : -1
 
+    // Only published, approved jobs, leaving out posters who blocked the viewer
+    const filter = {
+      ...publicJobFilter,
+      postedBy: { $nin: await getBlockedPosterIds(req.user._id) },
+    }
+
     // Get total count of jobs
-    const totalJobs = await Job.countDocuments()
+    const totalJobs = await Job.countDocuments(filter)
 
     // Fetch jobs with pagination and sorting
-    const jobs = await Job.find()
+    const jobs = await Job.find(filter)
       .sort({ [sortBy]: sortOrder }) // Sort dynamically
       .skip(skip)
       .limit(limitNumber)
-
-    // Filter out jobs posted by blocked users
-    const filteredJobs = jobs.filter(
-      (job) => !job.postedBy.blockedUsers.includes(req.user._id),
-    )
+      .select('-screeningQuestions.knockout -flags')
 
     return res.status(200).json({
       message: 'Jobs Retrieved Successfully',
       success: true,
-      data: filteredJobs,
+      data: jobs,
       totalJobs,
       totalPages: Math.ceil(totalJobs / limitNumber),
       currentPage: pageNumber,
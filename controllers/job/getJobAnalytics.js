@@ -0,0 +1,45 @@
+const Job = require('../../models/Job')
+const {
+  parseAnalyticsRange,
+  getJobsAnalytics,
+} = require('../../utils/job/jobAnalytics')
+
+const getJobAnalytics = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { id } = req.params
+
+    const job = await Job.findById(id).select('postedBy position company')
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found', success: false })
+    }
+
+    // Only the poster can see how the job performs
+    if (job.postedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied', success: false })
+    }
+
+    const { range, error } = parseAnalyticsRange(req.query)
+    if (error) {
+      return res.status(400).json({ message: error, success: false })
+    }
+
+    const analytics = await getJobsAnalytics([job._id], range)
+
+    return res.status(200).json({
+      message: 'Job analytics retrieved successfully',
+      success: true,
+      data: { job, ...analytics },
+    })
+  } catch (error) {
+    console.error('Error retrieving job analytics:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getJobAnalytics
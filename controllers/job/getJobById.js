@@ -1,4 +1,7 @@
 const Job = require('../../models/Job')
+const JobView = require('../../models/JobView')
+const Application = require('../../models/Application')
+const { computeSkillMatch } = require('../../utils/job/skills')
 
 const getJobById = async (req, res) => {
   try {
@@ -9,14 +12,48 @@ const getJobById = async (req, res) => {
         .json({ message: 'Job Id is Required', success: false })
     }
 
-    const job = await Job.findById(id).populate('applicants postedBy')
+    const job = await Job.findById(id)
+      .populate('postedBy applicantCount')
+      .populate('companyId', 'name slug logo')
+      .populate('requiredSkills niceToHaveSkills', 'name slug category')
     if (!job || job.postedBy.blockedUsers.includes(req.user._id)) {
       return res.status(404).json({ message: 'Job Not Found', success: false })
     }
 
-    return res
-      .status(200)
-      .json({ message: 'Job retrieved successfully', success: true, job })
+    // Drafts and knockout thresholds are only visible to the poster. Jobs
+    // that are not approved are also visible to moderators and applicants.
+    const isPoster = job.postedBy._id.toString() === req.user._id.toString()
+    let canSee = isPoster || req.user.role === 'admin'
+    if (!canSee && job.status !== 'draft') {
+      canSee =
+        job.moderationStatus === 'accepted' ||
+        Boolean(
+          await Application.exists({ job: job._id, applicant: req.user._id }),
+        )
+    }
+    if (!canSee) {
+      return res.status(404).json({ message: 'Job Not Found', success: false })
+    }
+
+    const data = job.toJSON()
+    // Only moderators see who reported the job
+    if (req.user.role !== 'admin') delete data.flags
+    if (!isPoster) {
+      data.screeningQuestions.forEach((question) => delete question.knockout)
+      // How the viewer's declared skills compare with the job's
+      data.match = computeSkillMatch(job, req.user.skills)
+
+      // Record the view for the poster's analytics
+      JobView.create({ job: job._id, viewer: req.user._id }).catch((error) =>
+        console.error('Error recording job view:', error),
+      )
+    }
+
+    return res.status(200).json({
+      message: 'Job retrieved successfully',
+      success: true,
+      job: data,
+    })
   } catch (err) {
     console.log(err)
     return res
@@ -0,0 +1,45 @@
+const Job = require('../../models/Job')
+
+// Jobs waiting for a moderator, oldest first: new or edited jobs and listed
+// jobs that users reported. Drafts are reviewed once they are published.
+const getModerationQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, flagged } = req.query
+
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = parseInt(limit, 10) || 10
+    const skip = (pageNumber - 1) * limitNumber
+
+    const filter = {
+      $or: [{ moderationStatus: 'pending' }, { needsReview: true }],
+      status: { $ne: 'draft' },
+    }
+    if (flagged === 'true') {
+      filter['flags.0'] = { $exists: true }
+    }
+
+    const totalJobs = await Job.countDocuments(filter)
+    const jobs = await Job.find(filter)
+      .sort({ updatedAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limitNumber)
+      .populate('postedBy', 'username firstName lastName email profileImg')
+      .populate('flags.user', 'username')
+
+    return res.status(200).json({
+      message: 'Moderation queue retrieved successfully',
+      success: true,
+      data: jobs,
+      totalJobs,
+      totalPages: Math.ceil(totalJobs / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error retrieving moderation queue:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getModerationQueue
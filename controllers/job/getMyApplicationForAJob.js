@@ -0,0 +1,36 @@
+const Application = require('../../models/Application')
+
+const getMyApplicationForAJob = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { id } = req.params
+
+    const application = await Application.findOne({
+      job: id,
+      applicant: req.user._id,
+    }).populate('job', 'position company type location status')
+
+    if (!application) {
+      return res.status(404).json({
+        message: 'You have not applied for this job',
+        success: false,
+      })
+    }
+
+    return res.status(200).json({
+      message: 'Application retrieved successfully',
+      success: true,
+      application: application.toApplicantJSON(),
+    })
+  } catch (error) {
+    console.error('Error retrieving application:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getMyApplicationForAJob
@@ -0,0 +1,63 @@
+const Application = require('../../models/Application')
+
+const getMyApplications = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { status = 'all', stage, page = 1, limit = 10 } = req.query
+
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = parseInt(limit, 10) || 10
+    const skip = (pageNumber - 1) * limitNumber
+
+    // `active` hides withdrawn and rejected applications
+    const filter = { applicant: req.user._id }
+    if (stage) {
+      filter.stage = stage
+    } else if (status === 'active') {
+      filter.stage = { $nin: ['withdrawn', 'rejected'] }
+    } else if (status !== 'all') {
+      return res
+        .status(400)
+        .json({ message: 'Status must be all or active', success: false })
+    }
+
+    const totalApplications = await Application.countDocuments(filter)
+    const applications = await Application.find(filter)
+      .sort({ updatedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNumber)
+      .populate(
+        'job',
+        'position company companyId type location category status imageURL applicationDeadline allowReapply postedBy',
+      )
+
+    const data = applications.map((application) => ({
+      ...application.toApplicantJSON(),
+      canReapply: Boolean(
+        application.stage === 'withdrawn' &&
+        application.job &&
+        application.job.allowReapply &&
+        application.job.status === 'published',
+      ),
+    }))
+
+    return res.status(200).json({
+      message: 'Applications retrieved successfully',
+      success: true,
+      data,
+      totalApplications,
+      totalPages: Math.ceil(totalApplications / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error retrieving applications:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getMyApplications
@@ -0,0 +1,52 @@
+const Referral = require('../../models/Referral')
+
+const getMyReferrals = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { type = 'received', page = 1, limit = 10 } = req.query
+    if (!['sent', 'received'].includes(type)) {
+      return res
+        .status(400)
+        .json({ message: 'Type must be sent or received', success: false })
+    }
+
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = parseInt(limit, 10) || 10
+    const skip = (pageNumber - 1) * limitNumber
+
+    const filter =
+      type === 'sent' ? { referrer: req.user._id } : { candidate: req.user._id }
+
+    const totalReferrals = await Referral.countDocuments(filter)
+    const referrals = await Referral.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNumber)
+      .populate('job', 'position company location type status')
+      .populate(
+        type === 'sent' ? 'candidate' : 'referrer',
+        'username firstName lastName profileImg',
+      )
+      // Referrers can follow the candidate's progress
+      .populate('application', 'stage updatedAt')
+
+    return res.status(200).json({
+      message: 'Referrals retrieved successfully',
+      success: true,
+      data: referrals,
+      totalReferrals,
+      totalPages: Math.ceil(totalReferrals / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error retrieving referrals:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getMyReferrals
@@ -0,0 +1,51 @@
+const Job = require('../../models/Job')
+const {
+  parseAnalyticsRange,
+  getJobsAnalytics,
+} = require('../../utils/job/jobAnalytics')
+
+const getPosterAnalytics = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { range, error } = parseAnalyticsRange(req.query)
+    if (error) {
+      return res.status(400).json({ message: error, success: false })
+    }
+
+    // Analytics across every job in the poster's `postedJobs`
+    const jobs = await Job.find({
+      _id: { $in: req.user.postedJobs },
+      postedBy: req.user._id,
+    }).select('position company status createdAt')
+
+    const analytics = await getJobsAnalytics(
+      jobs.map((job) => job._id),
+      range,
+      true,
+    )
+
+    // Attach the job details to the per-job numbers
+    analytics.jobs = analytics.jobs.map((stats, index) => ({
+      ...stats,
+      position: jobs[index].position,
+      company: jobs[index].company,
+      status: jobs[index].status,
+    }))
+
+    return res.status(200).json({
+      message: 'Analytics retrieved successfully',
+      success: true,
+      data: analytics,
+    })
+  } catch (error) {
+    console.error('Error retrieving poster analytics:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getPosterAnalytics
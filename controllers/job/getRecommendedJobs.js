@@ -0,0 +1,36 @@
+const { getRecommendedJobs } = require('../../utils/job/jobRecommendations')
+
+const getRecommendedJobsForUser = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { page = 1, limit = 10 } = req.query
+
+    // Convert page and limit to numbers
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = parseInt(limit, 10) || 10
+
+    const { data, total } = await getRecommendedJobs(req.user, {
+      page: pageNumber,
+      limit: limitNumber,
+    })
+
+    return res.status(200).json({
+      message: 'Recommended jobs retrieved successfully',
+      success: true,
+      data,
+      totalJobs: total,
+      totalPages: Math.ceil(total / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error retrieving recommended jobs:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getRecommendedJobsForUser
@@ -0,0 +1,26 @@
+const SavedSearch = require('../../models/SavedSearch')
+
+const getSavedSearches = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const savedSearches = await SavedSearch.find({ user: req.user._id })
+      .select('-pendingJobs')
+      .sort({ createdAt: -1 })
+
+    return res.status(200).json({
+      message: 'Saved searches retrieved successfully',
+      success: true,
+      data: savedSearches,
+    })
+  } catch (error) {
+    console.error('Error retrieving saved searches:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getSavedSearches
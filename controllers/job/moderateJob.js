@@ -0,0 +1,80 @@
+const Job = require('../../models/Job')
+const User = require('../../models/User')
+const notifyUser = require('../../utils/main/notifyUser')
+const { alertIfNewlyPublic } = require('../../utils/job/jobAlerts')
+
+const moderateJob = async (req, res) => {
+  try {
+    const { id } = req.params
+    const { decision, reason } = req.body
+
+    if (!['accepted', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        message: 'Decision must be accepted or rejected',
+        success: false,
+      })
+    }
+
+    if (decision === 'rejected' && (!reason || !String(reason).trim())) {
+      return res.status(400).json({
+        message: 'A reason is required to reject a job',
+        success: false,
+      })
+    }
+
+    const job = await Job.findById(id)
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found', success: false })
+    }
+
+    // Only jobs in the moderation queue can be decided on
+    if (job.moderationStatus !== 'pending' && !job.needsReview) {
+      return res.status(409).json({
+        message: 'This job is not waiting for review',
+        success: false,
+      })
+    }
+
+    job.moderationStatus = decision
+    job.moderationReason = reason ? String(reason).trim() : null
+    job.moderatedBy = req.user._id
+    job.moderatedAt = new Date()
+    // Reports are resolved by the decision
+    job.flags = []
+    job.needsReview = false
+    await job.save()
+
+    const poster = await User.findById(job.postedBy).select('blockedUsers')
+
+    await notifyUser({
+      recipient: job.postedBy,
+      sender: req.user._id,
+      type: 'job',
+      title: decision === 'accepted' ? 'Job approved' : 'Job rejected',
+      message:
+        decision === 'accepted'
+          ? `${job.position} at ${job.company} was approved and is now visible`
+          : `${job.position} at ${job.company} was rejected: ${job.moderationReason}`,
+      metadata: { jobId: job._id, moderationStatus: decision },
+    })
+
+    if (poster) {
+      alertIfNewlyPublic(job, poster).catch((error) =>
+        console.error('Error sending job alerts:', error),
+      )
+    }
+
+    return res.status(200).json({
+      message: `Job ${decision} successfully`,
+      success: true,
+      job,
+    })
+  } catch (error) {
+    console.error('Error moderating job:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = moderateJob
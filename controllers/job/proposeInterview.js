@@ -0,0 +1,95 @@
+const Application = require('../../models/Application')
+const notifyUser = require('../../utils/main/notifyUser')
+const { canManageApplicants } = require('../../utils/job/jobPermissions')
+const { validateInterviewSlots } = require('../../utils/job/interviews')
+const { notifyReferrer } = require('../../utils/job/referrals')
+
+const proposeInterview = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { applicationId } = req.params
+    const { slots, location, notes } = req.body
+
+    const application = await Application.findById(applicationId).populate(
+      'job',
+      'position company postedBy companyId',
+    )
+    if (!application || !application.job) {
+      return res
+        .status(404)
+        .json({ message: 'Application not found', success: false })
+    }
+
+    // Only the job poster and company admins can invite candidates
+    if (!(await canManageApplicants(application.job, req.user._id))) {
+      return res.status(403).json({ message: 'Access denied', success: false })
+    }
+
+    if (['rejected', 'withdrawn'].includes(application.stage)) {
+      return res.status(400).json({
+        message: `This application has been ${application.stage}`,
+        success: false,
+      })
+    }
+
+    const validation = validateInterviewSlots(slots)
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error, success: false })
+    }
+
+    // Proposing new slots replaces the previous proposal and, if the
+    // interview was already scheduled, reschedules it
+    const previous = application.interview
+    application.interview = {
+      status: 'proposed',
+      slots: validation.slots,
+      location,
+      notes,
+      proposedBy: req.user._id,
+      proposedAt: new Date(),
+      sequence: previous ? previous.sequence + 1 : 0,
+    }
+
+    if (['applied', 'screening'].includes(application.stage)) {
+      await application.moveToStage(
+        'interview',
+        req.user._id,
+        'Interview slots proposed',
+      )
+      notifyReferrer(application, application.job).catch((error) =>
+        console.error('Error notifying referrer:', error),
+      )
+    } else {
+      await application.save()
+    }
+
+    const { job } = application
+    await notifyUser({
+      recipient: application.applicant,
+      sender: req.user._id,
+      type: 'job',
+      title: previous ? 'Interview rescheduled' : 'Interview invitation',
+      message: `Pick a time for your interview for ${job.position} at ${job.company}`,
+      metadata: { jobId: job._id, applicationId: application._id },
+    })
+
+    return res.status(200).json({
+      message: 'Interview slots proposed successfully',
+      success: true,
+      interview: application.interview,
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, success: false })
+    }
+    console.error('Error proposing interview:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = proposeInterview
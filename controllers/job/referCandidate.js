@@ -0,0 +1,110 @@
+const mongoose = require('mongoose')
+const Job = require('../../models/Job')
+const User = require('../../models/User')
+const Application = require('../../models/Application')
+const Referral = require('../../models/Referral')
+const notifyUser = require('../../utils/main/notifyUser')
+const { getApplicationBlocker } = require('../../utils/job/jobLifecycle')
+
+const referCandidate = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { id } = req.params
+    const { userId, message } = req.body
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: 'Invalid user', success: false })
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res
+        .status(400)
+        .json({ message: 'You cannot refer yourself', success: false })
+    }
+
+    // Referrals only go to people the referrer follows
+    const isFollowing = req.user.following.some(
+      (followed) => followed.toString() === userId,
+    )
+    if (!isFollowing) {
+      return res.status(403).json({
+        message: 'You can only refer people you follow',
+        success: false,
+      })
+    }
+
+    const job = await Job.findById(id).populate('postedBy', 'blockedUsers')
+    if (!job || job.postedBy.blockedUsers.includes(req.user._id)) {
+      return res.status(404).json({ message: 'Job not found', success: false })
+    }
+
+    const blocker = await getApplicationBlocker(job)
+    if (blocker) {
+      return res.status(400).json({ message: blocker, success: false })
+    }
+
+    const candidate = await User.findById(userId).select('blockedUsers')
+    if (
+      !candidate ||
+      candidate.blockedUsers.includes(req.user._id) ||
+      job.postedBy.blockedUsers.includes(candidate._id)
+    ) {
+      return res.status(404).json({ message: 'User not found', success: false })
+    }
+
+    if (job.postedBy._id.toString() === userId) {
+      return res.status(400).json({
+        message: 'You cannot refer the poster to their own job',
+        success: false,
+      })
+    }
+
+    if (await Application.exists({ job: job._id, applicant: userId })) {
+      return res.status(400).json({
+        message: 'This user has already applied for this job',
+        success: false,
+      })
+    }
+
+    const referral = await Referral.create({
+      job: job._id,
+      referrer: req.user._id,
+      candidate: userId,
+      message,
+    })
+
+    await notifyUser({
+      recipient: userId,
+      sender: req.user._id,
+      type: 'job',
+      title: 'You were referred to a job',
+      message: `${req.user.username} referred you to ${job.position} at ${job.company}`,
+      metadata: { jobId: job._id, referralId: referral._id },
+    })
+
+    return res.status(201).json({
+      message: 'Referral sent successfully',
+      success: true,
+      referral,
+    })
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        message: 'You have already referred this user to this job',
+        success: false,
+      })
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, success: false })
+    }
+    console.error('Error referring candidate:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = referCandidate
@@ -0,0 +1,208 @@
+const Job = require('../../models/Job')
+const {
+  publicJobFilter,
+  getBlockedPosterIds,
+  toList,
+} = require('../../utils/job/jobQuery')
+const {
+  baseCurrency,
+  toBaseCurrency,
+  isSupportedCurrency,
+} = require('../../utils/job/compensation')
+
+// Yearly salary buckets in the base currency
+const salaryBuckets = [0, 25000, 50000, 100000, 200000]
+const postedWithinDays = [1, 7, 30]
+const dayInMs = 24 * 60 * 60 * 1000
+
+const countBy = (field) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $project: { _id: 0, value: '$_id', count: 1 } },
+  { $sort: { count: -1, value: 1 } },
+]
+
+const searchJobs = async (req, res) => {
+  try {
+    const {
+      q,
+      type,
+      location,
+      category,
+      minSalary,
+      maxSalary,
+      currency = baseCurrency,
+      equity,
+      postedWithin,
+      sortBy = 'relevance',
+      page = 1,
+      limit = 10,
+    } = req.query
+
+    // `?q=a&q=b` arrives as an array
+    if (q !== undefined && typeof q !== 'string') {
+      return res
+        .status(400)
+        .json({ message: 'Invalid search query', success: false })
+    }
+
+    // Validate list filters against the schema enums
+    const filters = {}
+    const listFilters = { type, location, category }
+    for (const [field, value] of Object.entries(listFilters)) {
+      const values = toList(value)
+      const allowed = Job.schema.path(field).enumValues
+      if (values.some((item) => !allowed.includes(item))) {
+        return res
+          .status(400)
+          .json({ message: `Invalid job ${field}`, success: false })
+      }
+      if (values.length) filters[field] = { $in: values }
+    }
+
+    // Salary filters are yearly amounts in `currency`. A job matches when
+    // its normalised yearly range overlaps the requested one.
+    const salaryCurrency = String(currency).toUpperCase()
+    if (!isSupportedCurrency(salaryCurrency)) {
+      return res
+        .status(400)
+        .json({ message: 'Unsupported currency', success: false })
+    }
+    const salaryBounds = [
+      [minSalary, 'compensation.annualMax', '$gte'],
+      [maxSalary, 'compensation.annualMin', '$lte'],
+    ]
+    for (const [value, field, operator] of salaryBounds) {
+      if (value === undefined) continue
+      const amount = Number(value)
+      if (!Number.isFinite(amount) || amount < 0) {
+        return res
+          .status(400)
+          .json({ message: 'Invalid salary range', success: false })
+      }
+      filters[field] = { [operator]: toBaseCurrency(amount, salaryCurrency) }
+    }
+
+    if (equity === 'true') filters['compensation.equity'] = true
+
+    if (postedWithin !== undefined) {
+      const days = Number(postedWithin)
+      if (!Number.isFinite(days) || days <= 0) {
+        return res
+          .status(400)
+          .json({ message: 'Invalid posting date filter', success: false })
+      }
+      filters.createdAt = {
+        $gte: new Date(Date.now() - days * dayInMs),
+      }
+    }
+
+    // Convert page and limit to numbers
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = parseInt(limit, 10) || 10
+    const skip = (pageNumber - 1) * limitNumber
+
+    // $text has to be the first stage, so it is combined with the block list
+    const pipeline = [
+      {
+        $match: {
+          ...publicJobFilter,
+          postedBy: { $nin: await getBlockedPosterIds(req.user._id) },
+        },
+      },
+    ]
+    const isTextSearch = Boolean(q && q.trim())
+    if (isTextSearch) {
+      pipeline[0].$match.$text = { $search: q.trim() }
+      pipeline.push({ $addFields: { score: { $meta: 'textScore' } } })
+    }
+
+    let sort = { createdAt: -1, _id: -1 }
+    if (sortBy === 'salary') sort = { 'compensation.annualMax': -1, _id: -1 }
+    if (sortBy === 'relevance' && isTextSearch) {
+      sort = { score: -1, createdAt: -1, _id: -1 }
+    }
+
+    // Each facet counts with every filter except its own applied
+    const matchExcept = (...fields) => {
+      const match = { ...filters }
+      fields.forEach((field) => delete match[field])
+      return { $match: match }
+    }
+
+    const postedWithinCounts = {}
+    for (const days of postedWithinDays) {
+      const since = new Date(Date.now() - days * dayInMs)
+      postedWithinCounts[`days${days}`] = {
+        $sum: { $cond: [{ $gte: ['$createdAt', since] }, 1, 0] },
+      }
+    }
+
+    const [result] = await Job.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          data: [
+            { $match: filters },
+            { $sort: sort },
+            { $skip: skip },
+            { $limit: limitNumber },
+            { $project: { 'screeningQuestions.knockout': 0, flags: 0 } },
+          ],
+          total: [{ $match: filters }, { $count: 'count' }],
+          type: [matchExcept('type'), ...countBy('type')],
+          location: [matchExcept('location'), ...countBy('location')],
+          category: [matchExcept('category'), ...countBy('category')],
+          salary: [
+            matchExcept('compensation.annualMin', 'compensation.annualMax'),
+            {
+              $bucket: {
+                groupBy: '$compensation.annualMax',
+                boundaries: [...salaryBuckets, Infinity],
+                default: 'unknown',
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ],
+          postedWithin: [
+            matchExcept('createdAt'),
+            { $group: { _id: null, ...postedWithinCounts } },
+          ],
+        },
+      },
+    ])
+
+    const totalJobs = result.total.length ? result.total[0].count : 0
+    const postedCounts = result.postedWithin[0] || {}
+
+    return res.status(200).json({
+      message: 'Jobs retrieved successfully',
+      success: true,
+      data: result.data,
+      facets: {
+        type: result.type,
+        location: result.location,
+        category: result.category,
+        salary: result.salary.map((bucket) => ({
+          min: bucket._id === 'unknown' ? null : bucket._id,
+          max: salaryBuckets[salaryBuckets.indexOf(bucket._id) + 1] || null,
+          currency: baseCurrency,
+          count: bucket.count,
+        })),
+        postedWithin: postedWithinDays.map((days) => ({
+          days,
+          count: postedCounts[`days${days}`] || 0,
+        })),
+      },
+      totalJobs,
+      totalPages: Math.ceil(totalJobs / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error searching jobs:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = searchJobs
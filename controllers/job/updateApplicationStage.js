@@ -0,0 +1,76 @@
+const Application = require('../../models/Application')
+const { canManageApplicants } = require('../../utils/job/jobPermissions')
+const { notifyReferrer } = require('../../utils/job/referrals')
+
+const updateApplicationStage = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { applicationId } = req.params
+    const { stage, note } = req.body
+
+    // Withdrawing is reserved for the applicant
+    const validStages = [
+      'applied',
+      'screening',
+      'interview',
+      'offer',
+      'rejected',
+    ]
+    if (!stage || !validStages.includes(stage)) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid application stage', success: false })
+    }
+
+    const application = await Application.findById(applicationId).populate(
+      'job',
+      'position company postedBy companyId',
+    )
+    if (!application || !application.job) {
+      return res
+        .status(404)
+        .json({ message: 'Application not found', success: false })
+    }
+
+    // Only the job poster and company admins can move candidates
+    if (!(await canManageApplicants(application.job, req.user._id))) {
+      return res.status(403).json({ message: 'Access denied', success: false })
+    }
+
+    if (application.stage === 'withdrawn') {
+      return res.status(400).json({
+        message: 'This application has been withdrawn',
+        success: false,
+      })
+    }
+
+    if (application.stage === stage) {
+      return res.status(400).json({
+        message: `Application is already in the ${stage} stage`,
+        success: false,
+      })
+    }
+
+    await application.moveToStage(stage, req.user._id, note)
+
+    notifyReferrer(application, application.job).catch((error) =>
+      console.error('Error notifying referrer:', error),
+    )
+
+    return res.status(200).json({
+      message: 'Application stage updated successfully',
+      success: true,
+      application,
+    })
+  } catch (error) {
+    console.error('Error updating application stage:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = updateApplicationStage
@@ -1,4 +1,49 @@
 const Job = require('../../models/Job')
+const {
+  validateScreeningQuestions,
+} = require('../../utils/job/screeningQuestions')
+const { validateLifecycleFields } = require('../../utils/job/jobLifecycle')
+const { getPostingCompany } = require('../../utils/job/jobPermissions')
+const { validateCompensation } = require('../../utils/job/compensation')
+const { resolveJobSkills } = require('../../utils/job/skills')
+
+// Managed by the server or by dedicated endpoints (PATCH /jobs/:id/status)
+const protectedFields = [
+  '_id',
+  'postedBy',
+  'status',
+  'moderationStatus',
+  'moderationReason',
+  'moderatedBy',
+  'moderatedAt',
+  'flags',
+  'needsReview',
+  'alertsSentAt',
+  'publishedAt',
+  'closedAt',
+  'closedReason',
+  'activeApplicants',
+  'createdAt',
+  'updatedAt',
+]
+
+// Changing what the posting says sends it back to the moderation queue
+const reviewedFields = [
+  'position',
+  'description',
+  'company',
+  'companyId',
+  'minReq',
+  'requiredSkills',
+  'niceToHaveSkills',
+  'compensation',
+  'duration',
+  'type',
+  'location',
+  'category',
+  'imageURL',
+  'screeningQuestions',
+]
 
 const updateJob = async (req, res) => {
   try {
@@ -7,7 +52,8 @@ const updateJob = async (req, res) => {
     }
 
     const { id } = req.params
-    const jobUpdates = req.body
+    const jobUpdates = { ...req.body }
+    protectedFields.forEach((field) => delete jobUpdates[field])
 
     // Find the job
     const job = await Job.findById(id)
@@ -22,11 +68,61 @@ const updateJob = async (req, res) => {
         .json({ message: 'You can only update your own job', success: false })
     }
 
+    // Questions keep their _id when sent back, so existing answers still match
+    if (jobUpdates.screeningQuestions !== undefined) {
+      const screening = validateScreeningQuestions(
+        jobUpdates.screeningQuestions,
+      )
+      if (screening.error) {
+        return res
+          .status(400)
+          .json({ message: screening.error, success: false })
+      }
+      jobUpdates.screeningQuestions = screening.questions
+    }
+
+    if (jobUpdates.compensation !== undefined) {
+      const pay = validateCompensation(jobUpdates.compensation)
+      if (pay.error) {
+        return res.status(400).json({ message: pay.error, success: false })
+      }
+      jobUpdates.compensation = pay.compensation
+    }
+
+    const skills = await resolveJobSkills(jobUpdates, job)
+    if (skills.error) {
+      return res.status(400).json({ message: skills.error, success: false })
+    }
+    Object.assign(jobUpdates, skills.fields)
+
+    // Linking a company page needs admin rights, and its name wins
+    if (jobUpdates.companyId) {
+      const result = await getPostingCompany(jobUpdates.companyId, req.user._id)
+      if (result.error) {
+        return res
+          .status(result.status)
+          .json({ message: result.error, success: false })
+      }
+      jobUpdates.company = result.company.name
+    } else if (jobUpdates.companyId === undefined && job.companyId) {
+      delete jobUpdates.company
+    }
+
+    const lifecycle = validateLifecycleFields(jobUpdates)
+    if (lifecycle.error) {
+      return res.status(400).json({ message: lifecycle.error, success: false })
+    }
+    Object.assign(jobUpdates, lifecycle.fields)
+
     // Apply the partial update using PATCH
     Object.keys(jobUpdates).forEach((key) => {
       job[key] = jobUpdates[key]
     })
 
+    if (reviewedFields.some((field) => job.isModified(field))) {
+      job.moderationStatus = 'pending'
+    }
+
     await job.save()
 
     return res
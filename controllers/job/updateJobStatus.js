@@ -0,0 +1,87 @@
+const Job = require('../../models/Job')
+const { alertIfNewlyPublic } = require('../../utils/job/jobAlerts')
+const {
+  statusTransitions,
+  countActiveApplications,
+  closeJob,
+} = require('../../utils/job/jobLifecycle')
+
+const updateJobStatus = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { id } = req.params
+    const { status } = req.body
+
+    const job = await Job.findById(id)
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found', success: false })
+    }
+
+    if (job.postedBy.toString() !== req.user._id.toString()) {
+      return res
+        .status(403)
+        .json({ message: 'You can only update your own job', success: false })
+    }
+
+    const allowed = statusTransitions[job.status] || []
+    if (!allowed.includes(status)) {
+      return res.status(400).json({
+        message: `A ${job.status} job cannot be moved to ${status}`,
+        success: false,
+      })
+    }
+
+    if (status === 'closed') {
+      await closeJob(job, 'closed', 'manual')
+      return res
+        .status(200)
+        .json({ message: 'Job closed successfully', success: true, job })
+    }
+
+    if (status === 'published') {
+      // Reopening needs the reason the job closed to be fixed first
+      if (job.applicationDeadline && job.applicationDeadline <= new Date()) {
+        return res.status(400).json({
+          message: 'Move the application deadline forward before publishing',
+          success: false,
+        })
+      }
+      if (job.maxApplicants) {
+        const count = await countActiveApplications(job._id)
+        if (count >= job.maxApplicants) {
+          return res.status(400).json({
+            message: 'Raise the maximum applicants before publishing',
+            success: false,
+          })
+        }
+      }
+    }
+
+    job.status = status
+    if (status === 'published') {
+      job.publishedAt = job.publishedAt || new Date()
+      job.closedAt = null
+      job.closedReason = null
+    }
+    await job.save()
+
+    // Saved search alerts go out the first time an approved job is published
+    alertIfNewlyPublic(job, req.user).catch((error) =>
+      console.error('Error sending job alerts:', error),
+    )
+
+    return res
+      .status(200)
+      .json({ message: 'Job status updated successfully', success: true, job })
+  } catch (error) {
+    console.error('Error updating job status:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = updateJobStatus
@@ -0,0 +1,70 @@
+const SavedSearch = require('../../models/SavedSearch')
+const { validateSearchCriteria } = require('../../utils/job/jobAlerts')
+
+const updateSavedSearch = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { searchId } = req.params
+    const { name, criteria, frequency, isActive } = req.body
+
+    const savedSearch = await SavedSearch.findOne({
+      _id: searchId,
+      user: req.user._id,
+    })
+    if (!savedSearch) {
+      return res
+        .status(404)
+        .json({ message: 'Saved search not found', success: false })
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res
+          .status(400)
+          .json({ message: 'Search name is required', success: false })
+      }
+      savedSearch.name = name.trim()
+    }
+
+    if (criteria !== undefined) {
+      const validation = validateSearchCriteria(criteria)
+      if (validation.error) {
+        return res
+          .status(400)
+          .json({ message: validation.error, success: false })
+      }
+      savedSearch.criteria = validation.criteria
+    }
+
+    if (frequency !== undefined) {
+      if (!['instant', 'daily'].includes(frequency)) {
+        return res
+          .status(400)
+          .json({ message: 'Invalid alert frequency', success: false })
+      }
+      savedSearch.frequency = frequency
+    }
+
+    if (isActive !== undefined) {
+      savedSearch.isActive = Boolean(isActive)
+    }
+
+    await savedSearch.save()
+
+    return res.status(200).json({
+      message: 'Saved search updated successfully',
+      success: true,
+      savedSearch,
+    })
+  } catch (error) {
+    console.error('Error updating saved search:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = updateSavedSearch
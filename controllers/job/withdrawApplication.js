@@ -0,0 +1,79 @@
+const Application = require('../../models/Application')
+const { releaseApplicantPlace } = require('../../utils/job/jobLifecycle')
+const { notifyReferrer } = require('../../utils/job/referrals')
+
+const withdrawApplication = async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Unauthorized', success: false })
+    }
+
+    const { applicationId } = req.params
+    const { reason } = req.body
+
+    const application = await Application.findById(applicationId).populate(
+      'job',
+      'position company allowReapply',
+    )
+    if (!application || !application.job) {
+      return res
+        .status(404)
+        .json({ message: 'Application not found', success: false })
+    }
+
+    if (application.applicant.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied', success: false })
+    }
+
+    if (['rejected', 'withdrawn'].includes(application.stage)) {
+      return res.status(400).json({
+        message: `This application has already been ${application.stage}`,
+        success: false,
+      })
+    }
+
+    // The application stays with its stage history, it only leaves the
+    // poster's active pipeline. The update only matches an active
+    // application, so a repeated request cannot give its place back twice.
+    const withdrawn = await Application.findOneAndUpdate(
+      { _id: application._id, stage: application.stage },
+      {
+        $set: { stage: 'withdrawn' },
+        $push: {
+          stageHistory: {
+            from: application.stage,
+            to: 'withdrawn',
+            changedBy: req.user._id,
+            note: reason,
+          },
+        },
+      },
+      { new: true },
+    ).populate('job', 'position company allowReapply')
+    if (!withdrawn) {
+      return res.status(409).json({
+        message: 'This application changed in the meantime, try again',
+        success: false,
+      })
+    }
+    await releaseApplicantPlace(withdrawn.job._id)
+
+    notifyReferrer(withdrawn, withdrawn.job).catch((error) =>
+      console.error('Error notifying referrer:', error),
+    )
+
+    return res.status(200).json({
+      message: 'Application withdrawn successfully',
+      success: true,
+      application: withdrawn.toApplicantJSON(),
+      canReapply: withdrawn.job.allowReapply,
+    })
+  } catch (error) {
+    console.error('Error withdrawing application:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = withdrawApplication
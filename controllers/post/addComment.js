@@ -1,6 +1,8 @@
 const Post = require('../../models/Post')
 const Comment = require('../../models/Comment')
 const User = require('../../models/User')
+const { resolveMentions, notifyCommentMentions } = require('../../utils/post/mentions')
+const { adjustCommentsCount } = require('../../utils/post/engagement')
 
 const addComment = async (req, res) => {
   const { id } = req.params
@@ -22,7 +24,7 @@ const addComment = async (req, res) => {
 
     // Get the user
     const user = await User.findOne({ clerkId: req.userId })
-      .select('_id username profileImg clerkId')
+      .select('_id username profileImg clerkId blockedUsers')
     if (!user) {
       return res.status(404).json({ message: 'User Not Found' })
     }
@@ -41,12 +43,16 @@ const addComment = async (req, res) => {
       }
     }
 
+    // Link "@username" mentions to the mentioned users
+    const mentions = await resolveMentions(content, user);
+
     // Create the new comment
     const newComment = new Comment({
       content,
       authorId: user._id,
       postId: id,
-      parentComment: parentComment || null
+      parentComment: parentComment || null,
+      mentions
     });
 
     await newComment.save();
@@ -63,6 +69,15 @@ const addComment = async (req, res) => {
       post.comments.push(newComment._id);
       await post.save();
     }
+    // Replies count towards the post's comments too
+    await adjustCommentsCount(post._id, 1);
+
+    notifyCommentMentions({
+      entities: newComment.mentions,
+      author: user,
+      postId: post._id,
+      commentId: newComment._id
+    });
 
     // Create the response object with all necessary fields
     const commentResponse = {
@@ -72,6 +87,7 @@ const addComment = async (req, res) => {
       postId: newComment.postId.toString(),
       parentComment: parentComment ? parentComment.toString() : null,
       replies: [],
+      mentions: newComment.mentions,
       author: {
         _id: user._id.toString(),
         username: user.username,
@@ -1,6 +1,13 @@
 const { clerkClient } = require('@clerk/express')
 const Post = require('../../models/Post')
 const User = require('../../models/User')
+const { parseHashtags } = require('../../utils/post/hashtags')
+const { resolveMentions } = require('../../utils/post/mentions')
+const {
+  validatePublishing,
+  onPostPublished,
+} = require('../../utils/post/scheduledPosts')
+const { maxWatchTime } = require('../../utils/post/reels')
 
 // Valid categories list
 const validCategories = [
@@ -96,6 +103,33 @@ const createPost = async (req, res) => {
       })
     }
 
+    // Posts can be saved as drafts or scheduled for later
+    const publishing = validatePublishing(req.body)
+    if (publishing.error) {
+      return res.status(400).json({
+        success: false,
+        message: publishing.error,
+      })
+    }
+    const { status } = publishing.fields
+
+    // Reels can carry their length in seconds, which bounds the watch time
+    // of each play
+    let duration
+    if (type === 'reel' && req.body.duration !== undefined) {
+      duration = Number(req.body.duration)
+      if (
+        !Number.isFinite(duration) ||
+        duration <= 0 ||
+        duration > maxWatchTime
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: `Duration must be a number of seconds from 0 to ${maxWatchTime}.`,
+        })
+      }
+    }
+
     console.log('Creating post with data:', {
       caption,
       category,
@@ -105,29 +139,46 @@ const createPost = async (req, res) => {
       authorId: user._id,
     })
 
+    // Hashtags are read from the caption, e.g. "#webdev"
+    const hashtags = parseHashtags(caption)
+    // and mentions like "@alice" are linked to the mentioned user
+    const mentions = await resolveMentions(caption, user)
+
     try {
+      const now = new Date()
       const newPost = new Post({
         image,
         caption,
         author: user._id,
         filters,
         tags,
+        hashtags: hashtags.map((hashtag) => hashtag.name),
+        mentions,
         location,
         category, // Schema will handle type conversion
         type,
+        duration,
+        ...publishing.fields,
+        publishedAt: status === 'published' ? now : null,
+        postedAt: now,
       })
 
       console.log('Created post instance:', newPost)
 
       const savedPost = await newPost.save()
-      user.posts.push(newPost._id)
-      await user.save()
+      // Drafts and scheduled posts stay private until they are published
+      if (status === 'published') await onPostPublished(savedPost, user)
 
       console.log('Post saved successfully:', savedPost)
 
+      const messages = {
+        draft: 'Post saved as a draft.',
+        scheduled: 'Post scheduled successfully.',
+        published: 'Post created successfully.',
+      }
       res.status(201).json({
         success: true,
-        message: 'Post created successfully.',
+        message: messages[status],
         data: savedPost,
       })
     } catch (validationError) {
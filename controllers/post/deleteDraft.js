@@ -0,0 +1,29 @@
+const Post = require('../../models/Post')
+
+// Cancels a draft or scheduled post. Published posts are deleted through
+// DELETE /posts/:id.
+const deleteDraft = async (req, res) => {
+  try {
+    const post = await Post.findOneAndDelete({
+      _id: req.params.id,
+      author: req.user._id,
+      status: { $in: ['draft', 'scheduled'] },
+    })
+    if (!post) {
+      return res
+        .status(404)
+        .json({ message: 'Draft not found', success: false })
+    }
+
+    return res
+      .status(200)
+      .json({ message: 'Draft deleted successfully', success: true })
+  } catch (error) {
+    console.error('Error deleting draft:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = deleteDraft
@@ -1,5 +1,9 @@
 const Post = require('../../models/Post')
 const User = require('../../models/User')
+const { syncHashtagCounts } = require('../../utils/post/hashtags')
+const { isPublished } = require('../../utils/post/postVisibility')
+const { removePostEngagement } = require('../../utils/post/engagement')
+const { removePostFromTimelines } = require('../../utils/post/timeline')
 
 const deletePost = async (req, res) => {
   try {
@@ -33,6 +37,9 @@ const deletePost = async (req, res) => {
     }
 
     await Post.deleteOne({ _id: id })
+    await removePostEngagement(post._id)
+    await removePostFromTimelines(post._id)
+    if (isPublished(post)) await syncHashtagCounts(post.hashtags, [])
 
     res.status(200).json({
       success: true,
@@ -1,6 +1,16 @@
 const Post = require('../../models/Post')
 const Comment = require('../../models/Comment')
 const User = require('../../models/User')
+const {
+  readPageParams,
+  paginateQuery
+} = require('../../utils/main/cursorPagination')
+
+// Oldest first, like a conversation
+const commentSort = [
+  ['createdAt', 1],
+  ['_id', 1]
+]
 
 const getAllComment = async (req, res) => {
   // Check for post Id
@@ -10,26 +20,34 @@ const getAllComment = async (req, res) => {
   }
 
   try {
-    // First get all comments for the post, but only top-level comments (no parentComment)
-    const post = await Post.findById(id)
-      .populate({
-        path: 'comments',
-        match: { parentComment: null }, // Only get top-level comments
-        populate: [
-          {
-            path: 'authorId',
-            model: 'User',
-            select: 'username profileImg clerkId'
-          }
-        ]
-      })
+    const pageParams = readPageParams(req.query, commentSort)
+    if (pageParams.error) {
+      return res.status(400).json({ message: pageParams.error })
+    }
 
+    const post = await Post.findById(id).select('_id')
     if (!post) {
       return res.status(404).json({ message: 'Post not found' })
     }
 
-    // Get all comments including replies
-    const allComments = await Comment.find({ postId: id })
+    // A page of top-level comments (no parentComment), oldest first
+    const { items: comments, nextCursor, prevCursor } = await paginateQuery(
+      (query) =>
+        Comment.find(query).populate({
+          path: 'authorId',
+          model: 'User',
+          select: 'username profileImg clerkId'
+        }),
+      { postId: post._id, parentComment: null },
+      commentSort,
+      pageParams
+    )
+
+    // Replies to the comments of this page
+    const replies = await Comment.find({
+      parentComment: { $in: comments.map(comment => comment._id) }
+    })
+      .sort({ createdAt: 1, _id: 1 })
       .populate({
         path: 'authorId',
         model: 'User',
@@ -38,7 +56,7 @@ const getAllComment = async (req, res) => {
 
     // Create a map of parent comments to their replies
     const repliesMap = new Map()
-    allComments.forEach(comment => {
+    replies.forEach(comment => {
       if (comment.parentComment) {
         if (!repliesMap.has(comment.parentComment.toString())) {
           repliesMap.set(comment.parentComment.toString(), [])
@@ -48,12 +66,13 @@ const getAllComment = async (req, res) => {
     })
 
     // Transform comments to include author details and replies
-    const transformedComments = post.comments.map(comment => {
+    const transformedComments = comments.map(comment => {
       const commentReplies = repliesMap.get(comment._id.toString()) || []
       return {
         _id: comment._id,
         content: comment.content,
         createdAt: comment.createdAt,
+        mentions: comment.mentions,
         author: {
           _id: comment.authorId._id,
           username: comment.authorId.username,
@@ -63,6 +82,7 @@ const getAllComment = async (req, res) => {
           _id: reply._id,
           content: reply.content,
           createdAt: reply.createdAt,
+          mentions: reply.mentions,
           author: {
             _id: reply.authorId._id,
             username: reply.authorId.username,
@@ -76,7 +96,9 @@ const getAllComment = async (req, res) => {
 
     return res.status(200).json({
       message: 'Comments Fetched Successfully',
-      comments: transformedComments
+      comments: transformedComments,
+      nextCursor,
+      prevCursor
     })
   } catch (error) {
     console.error('❌ Error getting comments:', error)
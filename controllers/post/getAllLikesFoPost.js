@@ -1,5 +1,15 @@
 const Post = require('../../models/Post')
-const User = require('../../models/User')
+const PostLike = require('../../models/PostLike')
+const {
+  readPageParams,
+  paginateQuery,
+} = require('../../utils/main/cursorPagination')
+
+// Most recent likes first
+const likeSort = [
+  ['createdAt', -1],
+  ['_id', -1],
+]
 
 const getAllLikesForPost = async (req, res) => {
   const { id } = req.params
@@ -9,18 +19,40 @@ const getAllLikesForPost = async (req, res) => {
   }
 
   try {
-    // Find the post and populate the 'likes' field with user data
-    const post = await Post.findById(id).populate('likes', 'username email')
+    const pageParams = readPageParams(req.query, likeSort, {
+      defaultLimit: 50,
+      maxLimit: 100,
+    })
+    if (pageParams.error) {
+      return res.status(400).json({ message: pageParams.error })
+    }
+
+    const post = await Post.findById(id).select('likesCount')
 
     if (!post) {
       return res.status(404).json({ message: 'Post not found.' })
     }
 
-    // Return the populated 'likes' field
+    const {
+      items: likes,
+      nextCursor,
+      prevCursor,
+    } = await paginateQuery(
+      (query) => PostLike.find(query).populate('user', 'username email').lean(),
+      { post: post._id },
+      likeSort,
+      pageParams,
+    )
+
+    // Users who liked the post, skipping deleted accounts
+    const users = likes.filter((like) => like.user).map((like) => like.user)
+
     return res.status(200).json({
       message: 'Likes fetched successfully.',
-      likes: post.likes, // Array of users who liked the post
-      likeCount: post.likes.length,
+      likes: users,
+      likeCount: post.likesCount,
+      nextCursor,
+      prevCursor,
     })
   } catch (error) {
     console.error('Error fetching likes for post:', error)
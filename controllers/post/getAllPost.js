@@ -1,19 +1,50 @@
 const Post = require('../../models/Post') // Adjust the path as needed
+const { publishedPostFilter } = require('../../utils/post/postVisibility')
+const {
+  readPageParams,
+  paginateQuery,
+} = require('../../utils/main/cursorPagination')
+
+// Newest first, by when the posts went live
+const postSort = [
+  ['postedAt', -1],
+  ['_id', -1],
+]
 
 // Controller to get all posts
 const getPosts = async (req, res) => {
   try {
     // Retrieve all posts and populate user data
     const { type } = req.query
-    const filter = {}
+    // Drafts and scheduled posts are only listed for their author
+    const filter = { ...publishedPostFilter }
     if (type) {
       filter.type = type
     }
-    // Fetch posts from the database
-    const posts = await Post.find(filter).populate('user', 'username email')
+
+    const pageParams = readPageParams(req.query, postSort)
+    if (pageParams.error) {
+      return res.status(400).json({
+        success: false,
+        message: pageParams.error,
+      })
+    }
+
+    // Fetch a page of posts from the database
+    const {
+      items: posts,
+      nextCursor,
+      prevCursor,
+    } = await paginateQuery(
+      (query) =>
+        Post.find(query).populate('author', 'username profileImg').lean(),
+      filter,
+      postSort,
+      pageParams,
+    )
 
     // Check if posts exist
-    if (!posts || posts.length === 0) {
+    if (!pageParams.cursor && posts.length === 0) {
       return res.status(404).json({
         success: false,
         message: 'No posts found',
@@ -25,6 +56,8 @@ const getPosts = async (req, res) => {
       success: true,
       message: 'Posts retrieved successfully',
       data: posts,
+      nextCursor,
+      prevCursor,
     })
   } catch (error) {
     console.error('Error in getPosts:', error)
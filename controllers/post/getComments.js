@@ -23,6 +23,7 @@ const getComments = async (req, res) => {
       content: comment.content,
       createdAt: comment.createdAt,
       parentComment: comment.parentComment,
+      mentions: comment.mentions,
       author: {
         _id: comment.authorId._id,
         username: comment.authorId.username,
@@ -0,0 +1,47 @@
+const Post = require('../../models/Post')
+
+// Lists the current user's drafts and scheduled posts. Scheduled posts come
+// first, in the order they will be published.
+const getDrafts = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query
+
+    const statuses = status ? [status] : ['scheduled', 'draft']
+    if (statuses.some((value) => !['draft', 'scheduled'].includes(value))) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid post status', success: false })
+    }
+
+    const pageNumber = parseInt(page, 10) || 1
+    const limitNumber = Math.min(parseInt(limit, 10) || 20, 50)
+    const skip = (pageNumber - 1) * limitNumber
+
+    const filter = { author: req.user._id, status: { $in: statuses } }
+    const totalPosts = await Post.countDocuments(filter)
+    const posts = await Post.aggregate([
+      { $match: filter },
+      { $addFields: { isScheduled: { $eq: ['$status', 'scheduled'] } } },
+      { $sort: { isScheduled: -1, scheduledAt: 1, updatedAt: -1, _id: -1 } },
+      { $skip: skip },
+      { $limit: limitNumber },
+      { $project: { isScheduled: 0 } },
+    ])
+
+    return res.status(200).json({
+      message: 'Drafts retrieved successfully',
+      success: true,
+      data: posts,
+      totalPosts,
+      totalPages: Math.ceil(totalPosts / limitNumber),
+      currentPage: pageNumber,
+    })
+  } catch (error) {
+    console.error('Error retrieving drafts:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getDrafts
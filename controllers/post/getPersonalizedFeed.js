@@ -1,5 +1,43 @@
-const Post = require('../../models/Post')
 const User = require('../../models/User')
+const { feeds } = require('../../config/configFeedRanking')
+const { withLikedState } = require('../../utils/post/engagement')
+const { readPageParams } = require('../../utils/main/cursorPagination')
+const { timelineSort, readTimeline } = require('../../utils/post/timeline')
+const {
+  readRankedPageParams,
+  rankFeed,
+} = require('../../utils/post/ranking/pipeline')
+
+// Reads `debug` and `weights` from the query. Admins can ask for the score
+// breakdown of each post and try other weights without changing the config.
+// Returns { status, error } or { debug, weights }.
+const readRankingOptions = (req, feed) => {
+  const debug = req.query.debug === 'true'
+  if (!debug) return { debug, weights: {} }
+  if (req.user?.role !== 'admin') {
+    return { status: 403, error: 'Only admins can debug ranking' }
+  }
+  if (!req.query.weights) return { debug, weights: {} }
+
+  let weights
+  try {
+    weights = JSON.parse(req.query.weights)
+  } catch (error) {
+    return { status: 400, error: 'Invalid weights' }
+  }
+  const isValid =
+    weights &&
+    typeof weights === 'object' &&
+    !Array.isArray(weights) &&
+    Object.entries(weights).every(
+      ([name, value]) => name in feeds[feed].weights && Number.isFinite(value),
+    )
+  if (!isValid) return { status: 400, error: 'Invalid weights' }
+  return { debug, weights }
+}
+
+// Feeds are personal: the id in the path must be the caller's own
+const isOwnFeed = (req, userId) => req.user._id.toString() === userId
 
 /**
  * Get Home Feed for a user (Following-based)
@@ -7,8 +45,7 @@ const User = require('../../models/User')
 const getHomeFeed = async (req, res) => {
   try {
     const { id: userId } = req.params
-    const { page = 1, limit = 20 } = req.query
-    const pageLimit = parseInt(limit)
+    const { order = 'ranked' } = req.query
 
     console.log('🔍 Fetching feed for user:', userId)
 
@@ -16,102 +53,53 @@ const getHomeFeed = async (req, res) => {
     if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({ error: 'Invalid user ID format' })
     }
+    if (!isOwnFeed(req, userId)) {
+      return res.status(403).json({ error: 'You can only view your own feed' })
+    }
+    if (!['ranked', 'latest'].includes(order)) {
+      return res
+        .status(400)
+        .json({ error: "order must be 'ranked' or 'latest'" })
+    }
+
+    const options = readRankingOptions(req, 'home')
+    if (options.error) {
+      return res.status(options.status).json({ error: options.error })
+    }
+    const pageParams =
+      order === 'latest'
+        ? readPageParams(req.query, timelineSort)
+        : readRankedPageParams(req.query)
+    if (pageParams.error) {
+      return res.status(400).json({ error: pageParams.error })
+    }
 
-    const user = await User.findById(userId).lean()
+    const user = await User.findById(userId)
+      .select('username following blockedUsers preferences followedHashtags')
+      .lean()
     if (!user) {
       return res.status(404).json({ error: 'User not found' })
     }
 
     console.log('✅ User found:', user.username)
 
-    const { following, preferences, likedPosts } = user
-    const isNewUser = !following?.length && !likedPosts?.length
-
-    let preferredPosts = []
-    let followingPosts = []
-    let trendingPosts = []
-    let tagMatchedPosts = []
-
-    // Fetch posts based on user preferences
-    if (preferences?.length) {
-      preferredPosts = await Post.find({ category: { $in: preferences } })
-        .populate('author', 'username profileImg')
-        .populate('comments')
-        .sort({ createdAt: -1 })
-        .limit(pageLimit)
-        .lean()
-    }
-
-    // Fetch posts from followed users
-    if (following?.length) {
-      followingPosts = await Post.find({ author: { $in: following } })
-        .populate('author', 'username profileImg')
-        .populate('comments')
-        .sort({ createdAt: -1 })
-        .limit(pageLimit)
-        .lean()
-    }
-
-    // Fetch trending posts
-    trendingPosts = await Post.find({})
-      .populate('author', 'username profileImg')
-      .populate('comments')
-      .sort({ likes: -1, createdAt: -1 })
-      .limit(pageLimit)
-      .lean()
-
-    // Fetch posts with matching tags from liked posts
-    if (likedPosts?.length) {
-      const likedPostData = await Post.find({ _id: { $in: likedPosts } }).lean()
-      const likedTags = [
-        ...new Set(likedPostData.flatMap((post) => post.tags || [])),
-      ]
-
-      if (likedTags.length) {
-        tagMatchedPosts = await Post.find({ tags: { $in: likedTags } })
-          .populate('author', 'username profileImg')
-          .populate('comments')
-          .sort({ createdAt: -1 })
-          .limit(pageLimit)
-          .lean()
-      }
-    }
-
-    // Combine and remove duplicate posts
-    const uniquePosts = new Map()
-    ;[
-      ...preferredPosts,
-      ...followingPosts,
-      ...trendingPosts,
-      ...tagMatchedPosts,
-    ].forEach((post) => {
-      uniquePosts.set(post._id.toString(), post)
-    })
-
-    let sortedPosts = [...uniquePosts.values()].sort((a, b) => {
-      const score = (post) =>
-        (post.likes?.length || 0) * 3 + (post.comments?.length || 0) * 2
-      return score(b) - score(a)
-    })
-
-    // Avoid consecutive posts from the same author
-    let finalFeed = []
-    let authorLastPost = new Map()
-
-    for (let post of sortedPosts) {
-      if (!post.author?._id) continue
-
-      if (
-        !authorLastPost.has(post.author._id.toString()) ||
-        finalFeed.length - authorLastPost.get(post.author._id.toString()) > 3
-      ) {
-        finalFeed.push(post)
-        authorLastPost.set(post.author._id.toString(), finalFeed.length - 1)
-      }
+    // Ranked by default; `latest` reads the precomputed timeline as is,
+    // newest first
+    const result =
+      order === 'latest'
+        ? await readTimeline(user, pageParams)
+        : await rankFeed(user, 'home', pageParams, options)
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
     }
+    const { posts, nextCursor, prevCursor } = result
 
-    console.log(`✅ Returning ${finalFeed.length} posts in home feed.`)
-    res.status(200).json({ feed: finalFeed, currentPage: page })
+    console.log(`✅ Returning ${posts.length} posts in home feed.`)
+    res.status(200).json({
+      feed: await withLikedState(posts, user._id),
+      nextCursor,
+      prevCursor,
+    })
   } catch (error) {
     console.error('❌ Error fetching home feed:', error)
     res.status(500).json({ error: 'Internal server error' })
@@ -124,65 +112,103 @@ const getHomeFeed = async (req, res) => {
 const getExploreFeed = async (req, res) => {
   try {
     const { id: userId } = req.params
-    const { page = 1, limit = 20 } = req.query
-    const pageLimit = parseInt(limit)
 
     console.log('🔍 Fetching explore feed for user:', userId)
 
     if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
       return res.status(400).json({ error: 'Invalid user ID format' })
     }
+    if (!isOwnFeed(req, userId)) {
+      return res.status(403).json({ error: 'You can only view your own feed' })
+    }
+
+    const options = readRankingOptions(req, 'explore')
+    if (options.error) {
+      return res.status(options.status).json({ error: options.error })
+    }
+    const pageParams = readRankedPageParams(req.query)
+    if (pageParams.error) {
+      return res.status(400).json({ error: pageParams.error })
+    }
 
-    const user = await User.findById(userId).lean()
+    const user = await User.findById(userId)
+      .select('username following blockedUsers preferences followedHashtags')
+      .lean()
     if (!user) {
       return res.status(404).json({ error: 'User not found' })
     }
 
-    const { likedPosts, preferences } = user
-    let likedTags = new Set()
-
-    if (likedPosts?.length) {
-      const likedPostData = await Post.find({ _id: { $in: likedPosts } }).lean()
-      likedPostData.forEach((post) =>
-        post.tags?.forEach((tag) => likedTags.add(tag)),
-      )
+    // Trending posts and posts matching the user's categories, liked tags
+    // and followed hashtags, ranked by engagement, relevance and recency
+    const result = await rankFeed(user, 'explore', pageParams, options)
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
     }
+    const { posts, nextCursor, prevCursor } = result
 
-    // Fetch posts based on engagement (likes, category, preferences)
-    let posts = await Post.find({
-      $or: [
-        { tags: { $in: [...likedTags] } },
-        { category: { $in: preferences } },
-      ],
+    console.log(`✅ Returning ${posts.length} posts in explore feed.`)
+    res.status(200).json({
+      feed: await withLikedState(posts, user._id),
+      nextCursor,
+      prevCursor,
     })
-      .populate('author', 'username profileImg')
-      .populate('comments')
-      .sort({ likes: -1, comments: -1, createdAt: -1 })
-      .lean()
+  } catch (error) {
+    console.error('❌ Error fetching explore feed:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+}
+
+/**
+ * Get Reels Feed for a user (Watch-based)
+ */
+const getReelsFeed = async (req, res) => {
+  try {
+    const { id: userId } = req.params
 
-    let finalFeed = []
-    let authorLastPost = new Map()
+    console.log('🔍 Fetching reels feed for user:', userId)
 
-    for (let post of posts) {
-      if (!post.author?._id) continue
+    if (!userId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid user ID format' })
+    }
+    if (!isOwnFeed(req, userId)) {
+      return res.status(403).json({ error: 'You can only view your own feed' })
+    }
 
-      if (
-        !authorLastPost.has(post.author._id.toString()) ||
-        finalFeed.length - authorLastPost.get(post.author._id.toString()) > 3
-      ) {
-        finalFeed.push(post)
-        authorLastPost.set(post.author._id.toString(), finalFeed.length - 1)
-      }
+    const options = readRankingOptions(req, 'reels')
+    if (options.error) {
+      return res.status(options.status).json({ error: options.error })
+    }
+    const pageParams = readRankedPageParams(req.query)
+    if (pageParams.error) {
+      return res.status(400).json({ error: pageParams.error })
+    }
 
-      if (finalFeed.length >= pageLimit) break
+    const user = await User.findById(userId)
+      .select('username following blockedUsers preferences followedHashtags')
+      .lean()
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+
+    // Reels only, ranked by how well they hold viewers as well as by
+    // engagement, relevance and recency. Reels the user watched to the end
+    // are left out.
+    const result = await rankFeed(user, 'reels', pageParams, options)
+    if (result.error) {
+      return res.status(400).json({ error: result.error })
     }
+    const { posts, nextCursor, prevCursor } = result
 
-    console.log(`✅ Returning ${finalFeed.length} posts in explore feed.`)
-    res.status(200).json({ feed: finalFeed.slice(0, pageLimit) })
+    console.log(`✅ Returning ${posts.length} reels in reels feed.`)
+    res.status(200).json({
+      feed: await withLikedState(posts, user._id),
+      nextCursor,
+      prevCursor,
+    })
   } catch (error) {
-    console.error('❌ Error fetching explore feed:', error)
+    console.error('❌ Error fetching reels feed:', error)
     res.status(500).json({ error: 'Internal server error' })
   }
 }
 
-module.exports = { getHomeFeed, getExploreFeed }
+module.exports = { getHomeFeed, getExploreFeed, getReelsFeed }
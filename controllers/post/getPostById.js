@@ -1,5 +1,6 @@
 const Post = require('../../models/Post') // Adjust the path as needed
 const Comment = require('../../models/Comment')
+const { isPublished } = require('../../utils/post/postVisibility')
 // Controller to get a post by ID
 const getPostById = async (req, res) => {
   try {
@@ -37,10 +38,12 @@ const getPostById = async (req, res) => {
           ],
         },
       ])
-      .select('author comments')
+      .select('author comments status')
 
-    // Check if post exists
-    if (!post) {
+    // Check if post exists. Drafts and scheduled posts only exist for their
+    // author.
+    const isAuthor = post && post.author && post.author._id.equals(req.user._id)
+    if (!post || (!isPublished(post) && !isAuthor)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found',
@@ -1,5 +1,6 @@
 const Post = require('../../models/Post')
 const User = require('../../models/User')
+const { publishedPostFilter } = require('../../utils/post/postVisibility')
 
 const getPostByUser = async (req, res) => {
   const { id } = req.params
@@ -16,7 +17,7 @@ const getPostByUser = async (req, res) => {
       })
     }
 
-    const posts = await Post.find({ author: id })
+    const posts = await Post.find({ ...publishedPostFilter, author: id })
 
     return res
       .status(200)
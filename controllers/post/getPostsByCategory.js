@@ -1,4 +1,5 @@
 const Post = require('../../models/Post.js')
+const { publishedPostFilter } = require('../../utils/post/postVisibility')
 const getPostsByCategory = async (req, res) => {
   try {
     const { category } = req.query
@@ -34,6 +35,7 @@ const getPostsByCategory = async (req, res) => {
     }
 
     const posts = await Post.find({
+      ...publishedPostFilter,
       category: { $regex: new RegExp(category, 'i') },
     }).populate('author', 'username bio')
 
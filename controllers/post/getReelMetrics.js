@@ -0,0 +1,45 @@
+const Post = require('../../models/Post')
+const { reelMetrics } = require('../../utils/post/reels')
+
+// Watch metrics of one of the current user's reels
+const getReelMetrics = async (req, res) => {
+  try {
+    const post = await Post.findOne({
+      _id: req.params.id,
+      type: 'reel',
+      isDeleted: { $ne: true },
+    })
+      .select(
+        'author caption reelStats likesCount commentsCount createdAt postedAt',
+      )
+      .lean()
+    if (!post) {
+      return res.status(404).json({ message: 'Reel not found', success: false })
+    }
+    if (!post.author.equals(req.user._id)) {
+      return res.status(403).json({
+        message: 'Only the author can see reel metrics',
+        success: false,
+      })
+    }
+
+    return res.status(200).json({
+      message: 'Reel metrics retrieved successfully',
+      success: true,
+      data: {
+        _id: post._id,
+        caption: post.caption,
+        createdAt: post.createdAt,
+        postedAt: post.postedAt,
+        metrics: reelMetrics(post),
+      },
+    })
+  } catch (error) {
+    console.error('Error retrieving reel metrics:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getReelMetrics
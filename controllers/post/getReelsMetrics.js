@@ -0,0 +1,61 @@
+const Post = require('../../models/Post')
+const { publishedPostFilter } = require('../../utils/post/postVisibility')
+const { reelMetrics } = require('../../utils/post/reels')
+const {
+  readPageParams,
+  paginateQuery,
+} = require('../../utils/main/cursorPagination')
+
+// Newest first, by when the reels went live
+const reelSort = [
+  ['postedAt', -1],
+  ['_id', -1],
+]
+
+// Lists the current user's published reels with their watch metrics
+const getReelsMetrics = async (req, res) => {
+  try {
+    const pageParams = readPageParams(req.query, reelSort)
+    if (pageParams.error) {
+      return res.status(400).json({ message: pageParams.error, success: false })
+    }
+
+    const { items, nextCursor, prevCursor } = await paginateQuery(
+      (query) =>
+        Post.find(query)
+          .select(
+            'caption reelStats likesCount commentsCount createdAt postedAt',
+          )
+          .lean(),
+      {
+        ...publishedPostFilter,
+        author: req.user._id,
+        type: 'reel',
+        isDeleted: { $ne: true },
+      },
+      reelSort,
+      pageParams,
+    )
+
+    return res.status(200).json({
+      message: 'Reel metrics retrieved successfully',
+      success: true,
+      data: items.map((post) => ({
+        _id: post._id,
+        caption: post.caption,
+        createdAt: post.createdAt,
+        postedAt: post.postedAt,
+        metrics: reelMetrics(post),
+      })),
+      nextCursor,
+      prevCursor,
+    })
+  } catch (error) {
+    console.error('Error retrieving reel metrics:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getReelsMetrics
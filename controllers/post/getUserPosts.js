@@ -1,6 +1,18 @@
 const Post = require('../../models/Post')
 const User = require('../../models/User')
 const mongoose = require('mongoose')
+const { publishedPostFilter } = require('../../utils/post/postVisibility')
+const { withLikedState } = require('../../utils/post/engagement')
+const {
+  readPageParams,
+  paginateQuery,
+} = require('../../utils/main/cursorPagination')
+
+// Newest first, by when the posts went live
+const postSort = [
+  ['postedAt', -1],
+  ['_id', -1],
+]
 
 const getUserPosts = async (req, res) => {
   try {
@@ -84,18 +96,36 @@ const getUserPosts = async (req, res) => {
     })
 
     // Create a filter to fetch the posts
+    // Drafts and scheduled posts are listed by GET /posts/drafts instead
     const filter = {
+      ...publishedPostFilter,
       author: user._id,
     }
-    filter.type = type // Add the type to the filter if provided
+    if (type) filter.type = type // Add the type to the filter if provided
 
-    // Find all posts by this exact user
-    const posts = await Post.find(filter) // If type is not provided, it will fetch all the posts otherwise it will fetch the posts of that type
-      .populate({
-        path: 'author',
-        select: '_id username profileImg',
+    const pageParams = readPageParams(req.query, postSort)
+    if (pageParams.error) {
+      return res.status(400).json({
+        success: false,
+        message: pageParams.error,
       })
-      .sort({ createdAt: -1 })
+    }
+
+    // Find a page of posts by this exact user
+    const {
+      items: posts,
+      nextCursor,
+      prevCursor,
+    } = await paginateQuery(
+      (query) =>
+        Post.find(query).populate({
+          path: 'author',
+          select: '_id username profileImg',
+        }),
+      filter,
+      postSort,
+      pageParams,
+    )
 
     console.log(`✅ Found ${posts.length} posts for user:`, user._id)
 
@@ -136,6 +166,8 @@ const getUserPosts = async (req, res) => {
         success: true,
         message: 'No posts found',
         posts: [],
+        nextCursor,
+        prevCursor,
       })
     }
 
@@ -145,7 +177,10 @@ const getUserPosts = async (req, res) => {
       content: post.content,
       image: post.image,
       createdAt: post.createdAt,
-      likes: post.likes || [],
+      postedAt: post.postedAt,
+      likesCount: post.likesCount || 0,
+      commentsCount: post.commentsCount || 0,
+      viewsCount: post.viewsCount || 0,
       comments: post.comments || [],
       author: post.author
         ? {
@@ -164,7 +199,9 @@ const getUserPosts = async (req, res) => {
     return res.status(200).json({
       success: true,
       message: 'Posts fetched successfully',
-      posts: transformedPosts,
+      posts: await withLikedState(transformedPosts, req.user?._id),
+      nextCursor,
+      prevCursor,
       user: {
         _id: user._id,
         username: user.username,
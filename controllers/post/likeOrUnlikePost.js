@@ -1,5 +1,6 @@
 const Post = require('../../models/Post')
-const User = require('../../models/User')
+const { addLike, removeLike } = require('../../utils/post/engagement')
+const { isPublished } = require('../../utils/post/postVisibility')
 
 const likeOrUnlikePost = async (req, res) => {
   try {
@@ -7,46 +8,36 @@ const likeOrUnlikePost = async (req, res) => {
     const userId = req.user._id
 
     // Find the post
-    const post = await Post.findById(postId)
-    if (!post) {
+    const post = await Post.findById(postId).select('status')
+    if (!post || !isPublished(post)) {
       return res.status(404).json({
         success: false,
-        message: 'Post not found'
+        message: 'Post not found',
       })
     }
 
-    // Check if user has already liked the post
-    const isLiked = post.likes.includes(userId)
-
-    // If user has liked, remove their ID (unlike)
-    // If user hasn't liked, add their ID (like)
-    const updateOperation = isLiked 
-      ? { $pull: { likes: userId } }  // Remove user ID from likes
-      : { $addToSet: { likes: userId } }  // Add user ID to likes
+    // Unlike if the user has liked the post, like it otherwise. Both steps
+    // are atomic, so double taps cannot count a like twice.
+    const isLiked = await removeLike(post._id, userId)
+    if (!isLiked) await addLike(post._id, userId)
 
     console.log(isLiked ? '👎 Unliking post' : '👍 Liking post')
 
-    // Update the post
-    const updatedPost = await Post.findByIdAndUpdate(
-      postId,
-      updateOperation,
-      { new: true }
-    )
+    const { likesCount } = await Post.findById(postId).select('likesCount')
 
     // Return the new state
     return res.status(200).json({
       success: true,
       message: isLiked ? 'Post unliked' : 'Post liked',
       liked: !isLiked,
-      likesCount: updatedPost.likes.length,
-      userId: userId.toString()
+      likesCount,
+      userId: userId.toString(),
     })
-
   } catch (error) {
     console.error('Error in liking/unliking post:', error)
     return res.status(500).json({
       success: false,
-      message: 'Error processing like/unlike'
+      message: 'Error processing like/unlike',
     })
   }
 }
@@ -0,0 +1,39 @@
+const Post = require('../../models/Post')
+const { publishPost } = require('../../utils/post/scheduledPosts')
+
+// Publishes a draft or scheduled post right away
+const publishDraft = async (req, res) => {
+  try {
+    const post = await Post.findOne({
+      _id: req.params.id,
+      author: req.user._id,
+      status: { $in: ['draft', 'scheduled'] },
+    })
+    if (!post) {
+      return res
+        .status(404)
+        .json({ message: 'Draft not found', success: false })
+    }
+
+    // null when the scheduler published it in the meantime
+    const published = await publishPost(post, req.user)
+    if (!published) {
+      return res
+        .status(409)
+        .json({ message: 'This post is already published', success: false })
+    }
+
+    return res.status(200).json({
+      message: 'Post published successfully',
+      success: true,
+      data: published,
+    })
+  } catch (error) {
+    console.error('Error publishing draft:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = publishDraft
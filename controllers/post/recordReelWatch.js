@@ -0,0 +1,63 @@
+const Post = require('../../models/Post')
+const { isPublished } = require('../../utils/post/postVisibility')
+const { maxWatchTime, recordWatch } = require('../../utils/post/reels')
+
+// Records one play of a reel as reported by the client: `watchTime` in
+// seconds, counted up to the reel's duration, and `completion`, the share of
+// the reel watched from 0 to 1
+const recordReelWatch = async (req, res) => {
+  try {
+    const { watchTime, completion } = req.body
+
+    if (
+      typeof watchTime !== 'number' ||
+      !Number.isFinite(watchTime) ||
+      watchTime < 0 ||
+      watchTime > maxWatchTime
+    ) {
+      return res.status(400).json({
+        message: `watchTime must be a number of seconds from 0 to ${maxWatchTime}`,
+        success: false,
+      })
+    }
+    if (
+      typeof completion !== 'number' ||
+      !Number.isFinite(completion) ||
+      completion < 0 ||
+      completion > 1
+    ) {
+      return res.status(400).json({
+        message: 'completion must be a number from 0 to 1',
+        success: false,
+      })
+    }
+
+    const post = await Post.findOne({
+      _id: req.params.id,
+      type: 'reel',
+      isDeleted: { $ne: true },
+    }).select('status duration')
+    if (!post || !isPublished(post)) {
+      return res.status(404).json({ message: 'Reel not found', success: false })
+    }
+
+    const { completed, firstPlay } = await recordWatch(post._id, req.user._id, {
+      watchTime,
+      completion,
+      duration: post.duration,
+    })
+    return res.status(200).json({
+      message: 'Watch recorded',
+      success: true,
+      completed,
+      firstPlay,
+    })
+  } catch (error) {
+    console.error('Error recording reel watch:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = recordReelWatch
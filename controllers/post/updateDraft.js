@@ -0,0 +1,81 @@
+const Post = require('../../models/Post')
+const { parseHashtags } = require('../../utils/post/hashtags')
+const { resolveMentions } = require('../../utils/post/mentions')
+const { validatePublishing } = require('../../utils/post/scheduledPosts')
+
+// Fields of a draft the author can change
+const editableFields = ['image', 'location', 'category', 'tags', 'filters']
+
+// Edits a draft or scheduled post. `status` moves it between draft and
+// scheduled; publishing goes through POST /posts/drafts/:id/publish.
+const updateDraft = async (req, res) => {
+  try {
+    const post = await Post.findOne({
+      _id: req.params.id,
+      author: req.user._id,
+      status: { $in: ['draft', 'scheduled'] },
+    })
+    if (!post) {
+      return res
+        .status(404)
+        .json({ message: 'Draft not found', success: false })
+    }
+
+    const { caption } = req.body
+    if (caption !== undefined) {
+      if (!caption || typeof caption !== 'string' || !caption.trim()) {
+        return res
+          .status(400)
+          .json({ message: 'Caption is required', success: false })
+      }
+      // Hashtags are counted and mentions notified once the post is published
+      post.caption = caption
+      post.hashtags = parseHashtags(caption).map((hashtag) => hashtag.name)
+      post.mentions = await resolveMentions(caption, req.user)
+    }
+
+    editableFields.forEach((field) => {
+      if (req.body[field] !== undefined) post[field] = req.body[field]
+    })
+
+    if (req.body.status !== undefined || req.body.scheduledAt !== undefined) {
+      const publishing = validatePublishing(
+        {
+          // Sending only a publish time schedules a draft
+          status:
+            req.body.status ||
+            (req.body.scheduledAt ? 'scheduled' : post.status),
+          scheduledAt:
+            req.body.scheduledAt !== undefined
+              ? req.body.scheduledAt
+              : post.scheduledAt,
+        },
+        ['draft', 'scheduled'],
+      )
+      if (publishing.error) {
+        return res
+          .status(400)
+          .json({ message: publishing.error, success: false })
+      }
+      Object.assign(post, publishing.fields)
+    }
+
+    await post.save()
+
+    return res.status(200).json({
+      message: 'Draft updated successfully',
+      success: true,
+      data: post,
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, success: false })
+    }
+    console.error('Error updating draft:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = updateDraft
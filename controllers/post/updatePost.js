@@ -1,11 +1,16 @@
 // Update a post
 const Post = require('../../models/Post')
 const User = require('../../models/User')
+const { parseHashtags, syncHashtagCounts } = require('../../utils/post/hashtags')
+const { resolveMentions, notifyMentions } = require('../../utils/post/mentions')
+const { isPublished } = require('../../utils/post/postVisibility')
 
 const updatePost = async (req, res) => {
   try {
     const { id } = req.params
     const { content, location } = req.body
+    // `content` is the old name of the caption field
+    const caption = req.body.caption !== undefined ? req.body.caption : content
     const userId = req.userId // From Clerk middleware
 
     const post = await Post.findById(id)
@@ -31,10 +36,31 @@ const updatePost = async (req, res) => {
       })
     }
 
-    if (content) post.content = content
+    // Re-read the hashtags and mentions when the caption changes
+    const previousHashtags = [...post.hashtags]
+    const previousMentions = post.mentions.map((mention) => mention.toObject())
+    let hashtags = null
+    if (caption) {
+      post.caption = caption
+      hashtags = parseHashtags(caption)
+      post.hashtags = hashtags.map((hashtag) => hashtag.name)
+      post.mentions = await resolveMentions(caption, user)
+    }
     if (location) post.location = location
 
     await post.save()
+    // Drafts are counted and announced when they are published
+    if (hashtags && isPublished(post)) {
+      await syncHashtagCounts(previousHashtags, hashtags)
+      // Only people who were not mentioned before are notified
+      await notifyMentions({
+        entities: post.mentions,
+        previous: previousMentions,
+        author: user,
+        owner: user,
+        postId: post._id,
+      })
+    }
 
     res.status(200).json({
       success: true,
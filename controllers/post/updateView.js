@@ -1,22 +1,21 @@
 const Post = require('../../models/Post')
+const { recordView } = require('../../utils/post/engagement')
 
 const updateView = async (req, res) => {
   const { id } = req.params
   try {
-    const post = await Post.findOneById(id)
+    const post = await Post.findById(id).select('_id')
     if (!post) {
       return res.status(404).json({ message: 'Post not found', success: false })
     }
 
-    if (post.viewedBy.includes(req.user._id)) {
-      return res.status(200).json({ message: 'Already viewed', success: true })
-    }
-
-    post.viewedBy.push(req.user._id)
-    await post.save()
-    return res
-      .status(200)
-      .json({ message: 'Views updated', success: true, post })
+    const counted = await recordView(post._id, req.user._id)
+    const { viewsCount } = await Post.findById(id).select('viewsCount')
+    return res.status(200).json({
+      message: counted ? 'Views updated' : 'Already viewed',
+      success: true,
+      viewsCount,
+    })
   } catch (err) {
     console.log(err)
     return res
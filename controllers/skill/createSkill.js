@@ -0,0 +1,64 @@
+const Skill = require('../../models/Skill')
+
+// Admins grow the taxonomy, everyone else picks from it
+const createSkill = async (req, res) => {
+  try {
+    const { name, category, aliases = [] } = req.body
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res
+        .status(400)
+        .json({ message: 'Skill name is required', success: false })
+    }
+    if (!Array.isArray(aliases)) {
+      return res
+        .status(400)
+        .json({ message: 'Aliases must be a list', success: false })
+    }
+
+    const slug = Skill.slugify(name)
+    if (!slug) {
+      return res
+        .status(400)
+        .json({ message: 'Invalid skill name', success: false })
+    }
+
+    const existing = await Skill.findOne({ slug }).select('name slug')
+    if (existing) {
+      return res.status(409).json({
+        message: 'This skill already exists',
+        success: false,
+        skill: existing,
+      })
+    }
+
+    const skill = await Skill.create({
+      name: name.trim(),
+      slug,
+      category,
+      aliases: [
+        ...new Set(
+          aliases
+            .map((alias) => String(alias).trim().toLowerCase())
+            .filter(Boolean),
+        ),
+      ],
+    })
+
+    return res.status(201).json({
+      message: 'Skill created successfully',
+      success: true,
+      skill,
+    })
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message, success: false })
+    }
+    console.error('Error creating skill:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = createSkill
@@ -0,0 +1,41 @@
+const Skill = require('../../models/Skill')
+
+// Characters with a meaning in regular expressions
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const getSkills = async (req, res) => {
+  try {
+    const { q, category, limit = 20 } = req.query
+
+    // `q` autocompletes on the start of a name or alias
+    const filter = {}
+    if (q && String(q).trim()) {
+      const prefix = new RegExp(`^${escapeRegex(String(q).trim())}`, 'i')
+      filter.$or = [
+        { name: prefix },
+        { aliases: prefix },
+        { slug: Skill.slugify(q) },
+      ]
+    }
+    if (category) filter.category = String(category)
+
+    const limitNumber = Math.min(parseInt(limit, 10) || 20, 100)
+    const skills = await Skill.find(filter)
+      .sort({ name: 1 })
+      .limit(limitNumber)
+      .select('name slug category aliases')
+
+    return res.status(200).json({
+      message: 'Skills retrieved successfully',
+      success: true,
+      data: skills,
+    })
+  } catch (error) {
+    console.error('Error retrieving skills:', error)
+    return res
+      .status(500)
+      .json({ message: 'Internal Server Error', success: false })
+  }
+}
+
+module.exports = getSkills
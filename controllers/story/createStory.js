@@ -61,7 +61,6 @@ const createStory = async (req, res) => {
       caption,
       filters,
       viewers: [],
-      likes: [],
       replies: [],
       duration: 24,
       expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
@@ -87,7 +86,7 @@ const createStory = async (req, res) => {
         caption: story.caption,
         filters: story.filters,
         viewers: story.viewers,
-        likes: story.likes,
+        likesCount: story.likesCount,
         replies: story.replies,
         createdAt: story.createdAt,
         expiresAt: story.expiresAt
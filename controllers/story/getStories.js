@@ -1,5 +1,6 @@
 const Story = require('../../models/Story');
 const User = require('../../models/User');
+const StoryLike = require('../../models/StoryLike');
 const mongoose = require('mongoose');
 
 const getStories = async (req, res) => {
@@ -41,7 +42,6 @@ const getStories = async (req, res) => {
     })
     .populate('author', 'username profileImg')
     .populate('viewers', 'username profileImg')
-    .populate('likes', 'username profileImg')
     .populate('replies.user', 'username profileImg')
     .sort('-createdAt');
 
@@ -54,6 +54,14 @@ const getStories = async (req, res) => {
       });
     }
 
+    // Which of these stories the current user liked
+    const likedStoryIds = new Set(
+      (await StoryLike.find({
+        user: currentUser._id,
+        story: { $in: stories.map((story) => story._id) }
+      }).distinct('story')).map((id) => id.toString())
+    );
+
     // Group stories by user
     const storyGroups = stories.reduce((groups, story) => {
       const authorId = story.author._id.toString();
@@ -80,7 +88,8 @@ const getStories = async (req, res) => {
         caption: story.caption,
         filters: story.filters,
         viewers: story.viewers,
-        likes: story.likes,
+        likesCount: story.likesCount,
+        liked: likedStoryIds.has(story._id.toString()),
         replies: story.replies,
         createdAt: story.createdAt,
         expiresAt: story.expiresAt
@@ -1,5 +1,6 @@
 const Story = require('../../models/Story');
 const User = require('../../models/User');
+const StoryLike = require('../../models/StoryLike');
 
 const interactWithStory = async (req, res) => {
   try {
@@ -50,22 +51,44 @@ const interactWithStory = async (req, res) => {
     }
 
     let result;
+    let liked;
     switch (action) {
       case 'view':
         result = await story.addViewer(user._id);
         console.log('👀 Story viewed');
         break;
 
-      case 'like':
-        if (story.likes.includes(user._id)) {
-          story.likes.pull(user._id);
-          console.log('👎 Story unliked');
-        } else {
-          story.likes.push(user._id);
-          console.log('👍 Story liked');
+      case 'like': {
+        // Likes are toggled in the StoryLike collection, its unique index
+        // keeps double taps from counting twice
+        const { deletedCount } = await StoryLike.deleteOne({
+          story: story._id,
+          user: user._id
+        });
+        let change = deletedCount ? -1 : 1;
+        if (!deletedCount) {
+          try {
+            await StoryLike.create({
+              story: story._id,
+              user: user._id,
+              expiresAt: story.expiresAt
+            });
+          } catch (error) {
+            if (error.code !== 11000) throw error;
+            change = 0;
+          }
         }
-        result = await story.save();
+        if (change) {
+          const filter = change < 0
+            ? { _id: story._id, likesCount: { $gt: 0 } }
+            : { _id: story._id };
+          await Story.updateOne(filter, { $inc: { likesCount: change } });
+        }
+        result = await Story.findById(story._id);
+        liked = !deletedCount;
+        console.log(liked ? '👍 Story liked' : '👎 Story unliked');
         break;
+      }
 
       case 'reply':
         if (!message) {
@@ -95,7 +118,8 @@ const interactWithStory = async (req, res) => {
       story: {
         _id: result._id,
         viewers: result.viewers,
-        likes: result.likes,
+        likesCount: result.likesCount,
+        ...(liked !== undefined && { liked }),
         replies: result.replies
       }
     });
@@ -1,4 +1,5 @@
 const User = require('../../models/User.js')
+const { removeAuthorFromTimeline } = require('../../utils/post/timeline')
 
 const blockUnblockUser = async (req, res) => {
   const { id } = req.params
@@ -20,6 +21,9 @@ const blockUnblockUser = async (req, res) => {
     } else {
       user.blockedUsers.push(req.user._id)
       await user.save()
+      // Neither sees the other's posts in their home feed anymore
+      await removeAuthorFromTimeline(user._id, req.user._id)
+      await removeAuthorFromTimeline(req.user._id, user._id)
       return res
         .status(200)
         .json({ message: 'User blocked successfully', success: true })
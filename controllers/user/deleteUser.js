@@ -1,5 +1,6 @@
 // Delete a user
 const User = require('../../models/User')
+const { removeUserFromTimelines } = require('../../utils/post/timeline')
 
 // Delete User by Id
 const deleteUser = async (req, res) => {
@@ -15,6 +16,7 @@ const deleteUser = async (req, res) => {
     const deletedUser = await User.findByIdAndDelete(id)
     if (!deletedUser)
       return res.status(404).json({ message: 'User not found', success: false })
+    await removeUserFromTimelines(deletedUser._id)
 
     return res.status(200).json({
       message: 'User deleted successfully',
@@ -1,5 +1,9 @@
 // Follow or Unfollow a user both actions will be handled here
 const User = require('../../models/User')
+const {
+  backfillTimeline,
+  removeAuthorFromTimeline,
+} = require('../../utils/post/timeline')
 
 // Follow or Unfollow a user
 const followUnfollowUser = async (req, res) => {
@@ -39,6 +43,7 @@ const followUnfollowUser = async (req, res) => {
 
       await user.save()
       await currentUser.save()
+      await removeAuthorFromTimeline(currentUser._id, user._id)
 
       return res
         .status(200)
@@ -50,6 +55,8 @@ const followUnfollowUser = async (req, res) => {
 
       await user.save()
       await currentUser.save()
+      // Their recent posts show up in the home feed right away
+      await backfillTimeline(currentUser._id, user._id)
 
       return res
         .status(200)
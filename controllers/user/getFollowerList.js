@@ -1,5 +1,12 @@
 // Get a user's follwer list
 const User = require('../../models/User')
+const {
+  readPageParams,
+  paginateQuery,
+} = require('../../utils/main/cursorPagination')
+
+// The list is stored on the user, so it is paged in a fixed order of ids
+const userSort = [['_id', -1]]
 
 const getFollowers = async (req, res) => {
   try {
@@ -11,9 +18,16 @@ const getFollowers = async (req, res) => {
         .json({ message: 'User Id is Required', success: false })
     }
 
-    const user = await User.findById(id).populate(
-      'followers',
-      'name username profileImg',
+    const pageParams = readPageParams(req.query, userSort, {
+      defaultLimit: 50,
+      maxLimit: 100,
+    })
+    if (pageParams.error) {
+      return res.status(400).json({ message: pageParams.error, success: false })
+    }
+
+    const user = await User.findById(id).select(
+      'followers blockedUsers isPrivateAccount',
     )
     if (!user || user.blockedUsers.includes(req.user._id)) {
       return res.status(404).json({ message: 'User not found', success: false })
@@ -23,13 +37,24 @@ const getFollowers = async (req, res) => {
       return res.status(200).json({
         message: 'Follower Fetched Successfully',
         followers: [],
+        nextCursor: null,
+        prevCursor: null,
         success: true,
       })
     }
 
+    const { items, nextCursor, prevCursor } = await paginateQuery(
+      (query) => User.find(query).select('name username profileImg'),
+      { _id: { $in: user.followers } },
+      userSort,
+      pageParams,
+    )
+
     return res.status(200).json({
       message: 'Follower Fetched Successfully',
-      followers: user.followers,
+      followers: items,
+      nextCursor,
+      prevCursor,
       success: true,
     })
   } catch (error) {
@@ -1,5 +1,12 @@
 // Get a user's following list
 const User = require('../../models/User')
+const {
+  readPageParams,
+  paginateQuery,
+} = require('../../utils/main/cursorPagination')
+
+// The list is stored on the user, so it is paged in a fixed order of ids
+const userSort = [['_id', -1]]
 
 const getFollowing = async (req, res) => {
   try {
@@ -11,9 +18,16 @@ const getFollowing = async (req, res) => {
         .json({ message: 'User Id is Required', success: false })
     }
 
-    const user = await User.findById(id).populate(
-      'following',
-      'name username profileImg',
+    const pageParams = readPageParams(req.query, userSort, {
+      defaultLimit: 50,
+      maxLimit: 100,
+    })
+    if (pageParams.error) {
+      return res.status(400).json({ message: pageParams.error, success: false })
+    }
+
+    const user = await User.findById(id).select(
+      'following followers blockedUsers isPrivateAccount',
     )
     if (!user || user.blockedUsers.includes(req.user._id)) {
       return res.status(404).json({ message: 'User not found', success: false })
@@ -22,14 +36,25 @@ const getFollowing = async (req, res) => {
     if (user.isPrivateAccount && !user.followers.includes(req.user._id)) {
       return res.status(200).json({
         message: 'Following Fetched Successfully',
-        followers: [],
+        following: [],
+        nextCursor: null,
+        prevCursor: null,
         success: true,
       })
     }
 
+    const { items, nextCursor, prevCursor } = await paginateQuery(
+      (query) => User.find(query).select('name username profileImg'),
+      { _id: { $in: user.following } },
+      userSort,
+      pageParams,
+    )
+
     return res.status(200).json({
       message: 'User following Found',
-      following: user.following,
+      following: items,
+      nextCursor,
+      prevCursor,
       success: true,
     })
   } catch (error) {
@@ -1,4 +1,5 @@
 const User = require('../../models/User')
+const { resolveSkills } = require('../../utils/job/skills')
 
 const updateUserProfile = async (req, res) => {
   try {
@@ -23,6 +24,16 @@ const updateUserProfile = async (req, res) => {
 
     const updates = { ...req.body }
     delete updates.password // Ensure password is not updated
+    delete updates.role // Roles are only granted directly in the database
+
+    // Skills can be sent as names or slugs and must exist in the taxonomy
+    if (updates.skills !== undefined) {
+      const result = await resolveSkills(updates.skills)
+      if (result.error) {
+        return res.status(400).json({ message: result.error, success: false })
+      }
+      updates.skills = result.skills
+    }
 
     const updatedUser = await User.findByIdAndUpdate(
       id,
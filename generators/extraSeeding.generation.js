@@ -2,8 +2,10 @@ const { faker } = require('@faker-js/faker')
 const bcrypt = require('bcrypt')
 const User = require('../models/User')
 const Job = require('../models/Job')
+const Application = require('../models/Application')
 const Post = require('../models/Post')
 const Comment = require('../models/Comment')
+const { addLike } = require('../utils/post/engagement')
 
 async function createUsers(count = 1000) {
     let users = []
@@ -60,12 +62,13 @@ async function userApplyingToJob() {
     let nonVerifiedUsers = await User.find({ isVerified: false });
     let jobs = await Job.find()
     for (const user of nonVerifiedUsers) {
-        for (let i = 0; i < faker.number.int({ min: 1, max: 3 }); i++) {
-            let job = faker.helpers.arrayElement(jobs)
-            user.appliedJobs.push(job._id)
-            job.applicants.push(user._id)
-            await user.save()
-            await job.save()
+        const appliedTo = faker.helpers.arrayElements(jobs, { min: 1, max: 3 })
+        for (const job of appliedTo) {
+            await Application.create({
+                job: job._id,
+                applicant: user._id,
+                stageHistory: [{ from: null, to: 'applied', changedBy: user._id }]
+            })
         }
     }
 }
@@ -110,6 +113,7 @@ async function createComments() {
             comments.push(data)
             let post = await Post.findById(postId);
             post.comments.push(_id)
+            post.commentsCount += 1
             await post.save();
         }
     }
@@ -122,11 +126,7 @@ async function createLikes() {
     for (const user of users) {
         for (let i = 0; i < faker.number.int({ min: 1, max: 3 }); i++) {
             const postId = faker.helpers.arrayElement(posts)._id
-            let post = await Post.findById(postId)
-            post.likes.push(user._id)
-            await post.save()
-            user.likedPosts.push(postId)
-            await user.save()
+            await addLike(postId, user._id)
         }
     }
 }
@@ -153,6 +153,7 @@ async function createReplies() {
             replies.push(data)
             let post = await Post.findById(postId);
             post.comments.push(_id)
+            post.commentsCount += 1
             await post.save();
             let comment = await Comment.findById(parentComment);
             comment.replies.push(_id)
@@ -11,6 +11,7 @@ const xss = require('xss-clean')
 const mongoSanitize = require('express-mongo-sanitize')
 const http = require('http')
 const setupSocketServer = require('./socket/setupSocket')
+const { startSchedulers } = require('./schedulers')
 
 const { connectDB } = require('./config/configDB')
 const logger = require('./utils/main/logger')
@@ -119,6 +120,9 @@ const PORT = process.env.PORT || 5001
 // Connect to MongoDB
 connectDB()
 
+// Start background tasks (job alert digests, job sweeper, ...)
+startSchedulers()
+
 // Mount API routes under /api
 app.use('/api', apiRoutes)
 
@@ -0,0 +1,5 @@
+// Use after verifyClerkToken, which sets req.user
+module.exports = (req, res, next) => {
+  if (req.user && req.user.role === 'admin') return next()
+  return res.status(403).json({ message: 'Admins only', success: false })
+}
@@ -0,0 +1,26 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const User = require('../models/User')
+const TimelineEntry = require('../models/TimelineEntry')
+const { backfillTimeline } = require('../utils/post/timeline')
+
+// Fills the home timelines of existing users with the recent posts of the
+// people they follow and their own. Safe to run again.
+async function buildTimelines() {
+  await connectDB()
+  await TimelineEntry.syncIndexes()
+
+  const users = User.find().select('following').lean().cursor()
+  let built = 0
+  for await (const user of users) {
+    await backfillTimeline(user._id, user._id)
+    for (const authorId of user.following || []) {
+      await backfillTimeline(user._id, authorId)
+    }
+    built += 1
+  }
+  console.log(`Built the timelines of ${built} users`)
+
+  await disconnectDB()
+}
+
+buildTimelines().catch((err) => console.log(err))
@@ -0,0 +1,32 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Job = require('../models/Job')
+const Application = require('../models/Application')
+
+// Sets `Job.activeApplicants`, which caps applications at `maxApplicants`,
+// from the applications that are not withdrawn. Safe to run more than once.
+async function migrateApplicantCounts() {
+  await connectDB()
+
+  const counts = await Application.aggregate([
+    { $match: { stage: { $ne: 'withdrawn' } } },
+    { $group: { _id: '$job', count: { $sum: 1 } } },
+  ])
+
+  await Job.updateMany({}, { $set: { activeApplicants: 0 } })
+  for (let i = 0; i < counts.length; i += 1000) {
+    await Job.bulkWrite(
+      counts.slice(i, i + 1000).map(({ _id, count }) => ({
+        updateOne: {
+          filter: { _id },
+          update: { $set: { activeApplicants: count } },
+        },
+      })),
+      { ordered: false },
+    )
+  }
+  console.log(`Counted the applicants of ${counts.length} jobs`)
+
+  await disconnectDB()
+}
+
+migrateApplicantCounts().catch((err) => console.log(err))
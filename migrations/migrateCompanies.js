@@ -0,0 +1,61 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Company = require('../models/Company')
+const Job = require('../models/Job')
+
+// Creates company pages from the free-text `Job.company` names and links
+// the jobs to them. A name used by a single poster gets a page with that
+// poster as admin. Names shared by several posters are only reported, since
+// nothing proves those posters belong to the same company.
+async function migrateCompanies() {
+  await connectDB()
+
+  const jobs = await Job.find({ companyId: null })
+    .select('company postedBy createdAt')
+    .sort({ createdAt: 1 })
+    .lean()
+
+  const groups = new Map()
+  for (const job of jobs) {
+    const slug = Company.slugify(job.company)
+    if (!slug) continue
+    if (!groups.has(slug)) groups.set(slug, [])
+    groups.get(slug).push(job)
+  }
+
+  let linked = 0
+  for (const [slug, group] of groups) {
+    const posters = [...new Set(group.map((job) => job.postedBy.toString()))]
+
+    let company = await Company.findOne({ slug })
+    if (!company) {
+      if (posters.length > 1) {
+        console.log(
+          `Skipped "${group[0].company}": used by ${posters.length} posters`,
+        )
+        continue
+      }
+      company = await Company.create({
+        name: group[0].company.trim(),
+        slug,
+        admins: posters,
+        createdBy: posters[0],
+      })
+    } else if (!posters.every((poster) => company.isAdmin(poster))) {
+      // Only link jobs whose posters already administer the existing page
+      console.log(`Skipped "${group[0].company}": posters are not admins`)
+      continue
+    }
+
+    const result = await Job.updateMany(
+      { _id: { $in: group.map((job) => job._id) } },
+      { $set: { companyId: company._id, company: company.name } },
+    )
+    linked += result.modifiedCount
+  }
+
+  console.log(`Linked ${linked} jobs to companies`)
+
+  await disconnectDB()
+}
+
+migrateCompanies().catch((err) => console.log(err))
@@ -0,0 +1,19 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Company = require('../models/Company')
+
+// Company pages created before verification existed were claimed without
+// any check. This puts them in the verification queue, so their admins can
+// post jobs and see applicants again once a site admin confirms the claim.
+async function migrateCompanyVerification() {
+  await connectDB()
+
+  const result = await Company.collection.updateMany(
+    { verificationStatus: { $exists: false } },
+    { $set: { verificationStatus: 'pending' } },
+  )
+  console.log(`Queued ${result.modifiedCount} companies for verification`)
+
+  await disconnectDB()
+}
+
+migrateCompanyVerification().catch((err) => console.log(err))
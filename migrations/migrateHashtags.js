@@ -0,0 +1,79 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Post = require('../models/Post')
+const Hashtag = require('../models/Hashtag')
+const User = require('../models/User')
+const { parseHashtags } = require('../utils/post/hashtags')
+
+// Parses the hashtags of existing captions, then rebuilds the usage and
+// follower counts of every hashtag. Safe to run again.
+async function migrateHashtags() {
+  await connectDB()
+
+  // Oldest first, so a hashtag keeps the spelling of its first post
+  const posts = Post.collection
+    .find({}, { projection: { caption: 1, createdAt: 1 } })
+    .sort({ createdAt: 1 })
+  const displays = new Map()
+  let parsed = 0
+  for await (const post of posts) {
+    const hashtags = parseHashtags(post.caption)
+    hashtags.forEach(({ name, display }) => {
+      if (!displays.has(name)) displays.set(name, display)
+    })
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { hashtags: hashtags.map((hashtag) => hashtag.name) } },
+    )
+    parsed += 1
+  }
+  console.log(`Parsed hashtags of ${parsed} posts`)
+
+  const counts = await Post.aggregate([
+    {
+      $match: {
+        isDeleted: { $ne: true },
+        status: { $nin: ['draft', 'scheduled'] },
+      },
+    },
+    { $unwind: '$hashtags' },
+    {
+      $group: {
+        _id: '$hashtags',
+        postsCount: { $sum: 1 },
+        lastUsedAt: { $max: '$createdAt' },
+      },
+    },
+  ])
+  for (const count of counts) {
+    await Hashtag.updateOne(
+      { name: count._id },
+      {
+        $set: { postsCount: count.postsCount, lastUsedAt: count.lastUsedAt },
+        $setOnInsert: { display: displays.get(count._id) || count._id },
+      },
+      { upsert: true },
+    )
+  }
+  await Hashtag.updateMany(
+    { name: { $nin: counts.map((count) => count._id) } },
+    { $set: { postsCount: 0 } },
+  )
+
+  const followers = await User.aggregate([
+    { $unwind: '$followedHashtags' },
+    { $group: { _id: '$followedHashtags', count: { $sum: 1 } } },
+  ])
+  await Hashtag.updateMany({}, { $set: { followersCount: 0 } })
+  for (const follower of followers) {
+    await Hashtag.updateOne(
+      { _id: follower._id },
+      { $set: { followersCount: follower.count } },
+    )
+  }
+
+  console.log(`Counted ${counts.length} hashtags`)
+
+  await disconnectDB()
+}
+
+migrateHashtags().catch((err) => console.log(err))
@@ -0,0 +1,53 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Job = require('../models/Job')
+const User = require('../models/User')
+const Application = require('../models/Application')
+
+// Moves the legacy `Job.applicants` / `User.appliedJobs` arrays into the
+// Application collection. Safe to run more than once.
+async function migrateJobApplications() {
+  await connectDB()
+
+  // The arrays are no longer part of the schemas, so read the raw documents
+  const jobs = await Job.collection
+    .find({ applicants: { $exists: true, $ne: [] } })
+    .project({ applicants: 1, createdAt: 1 })
+    .toArray()
+
+  console.log(`Migrating applicants of ${jobs.length} jobs`)
+  let created = 0
+  for (const job of jobs) {
+    const operations = job.applicants.map((applicant) => ({
+      updateOne: {
+        filter: { job: job._id, applicant },
+        update: {
+          $setOnInsert: {
+            job: job._id,
+            applicant,
+            stage: 'applied',
+            stageHistory: [
+              {
+                from: null,
+                to: 'applied',
+                changedBy: applicant,
+                changedAt: job.createdAt,
+              },
+            ],
+          },
+        },
+        upsert: true,
+      },
+    }))
+    const result = await Application.bulkWrite(operations, { ordered: false })
+    created += result.upsertedCount
+  }
+  console.log(`Created ${created} applications`)
+
+  await Job.collection.updateMany({}, { $unset: { applicants: '' } })
+  await User.collection.updateMany({}, { $unset: { appliedJobs: '' } })
+  console.log('Removed legacy applicant arrays')
+
+  await disconnectDB()
+}
+
+migrateJobApplications().catch((err) => console.log(err))
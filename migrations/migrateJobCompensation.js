@@ -0,0 +1,58 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Job = require('../models/Job')
+const { baseCurrency, toAnnual } = require('../utils/job/compensation')
+
+// Turns the legacy numeric `Job.salary` into a yearly compensation range in
+// the base currency, then recomputes the normalised yearly range of every
+// job. Run it again after changing config/currencyRates.json.
+async function migrateJobCompensation() {
+  await connectDB()
+
+  const legacy = await Job.collection.updateMany(
+    { salary: { $gt: 0 }, compensation: null },
+    [
+      {
+        $set: {
+          compensation: {
+            min: '$salary',
+            max: '$salary',
+            currency: baseCurrency,
+            period: 'yearly',
+            equity: false,
+          },
+        },
+      },
+    ],
+  )
+  console.log(`Migrated ${legacy.modifiedCount} numeric salaries`)
+
+  const unset = await Job.collection.updateMany(
+    { salary: { $exists: true } },
+    { $unset: { salary: '' } },
+  )
+  console.log(`Removed the salary field from ${unset.modifiedCount} jobs`)
+
+  const jobs = Job.collection.find(
+    { compensation: { $ne: null } },
+    { projection: { compensation: 1 } },
+  )
+  let normalised = 0
+  for await (const job of jobs) {
+    const { min, max, currency, period } = job.compensation
+    await Job.collection.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          'compensation.annualMin': toAnnual(min, currency, period),
+          'compensation.annualMax': toAnnual(max, currency, period),
+        },
+      },
+    )
+    normalised += 1
+  }
+  console.log(`Normalised compensation for ${normalised} jobs`)
+
+  await disconnectDB()
+}
+
+migrateJobCompensation().catch((err) => console.log(err))
@@ -0,0 +1,42 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Job = require('../models/Job')
+
+// Splits the legacy `Job.status` into the lifecycle `status` and
+// `moderationStatus`. Safe to run more than once.
+async function migrateJobLifecycle() {
+  await connectDB()
+
+  // Moderation states become moderationStatus, the job stays published
+  for (const state of ['pending', 'accepted', 'rejected']) {
+    const result = await Job.collection.updateMany({ status: state }, [
+      {
+        $set: {
+          moderationStatus: state,
+          status: 'published',
+          publishedAt: { $ifNull: ['$publishedAt', '$createdAt'] },
+        },
+      },
+    ])
+    console.log(`Migrated ${result.modifiedCount} ${state} jobs`)
+  }
+
+  const closed = await Job.collection.updateMany(
+    { status: 'no longer accepting responses' },
+    [
+      {
+        $set: {
+          moderationStatus: 'accepted',
+          status: 'closed',
+          closedReason: 'manual',
+          publishedAt: { $ifNull: ['$publishedAt', '$createdAt'] },
+          closedAt: '$updatedAt',
+        },
+      },
+    ],
+  )
+  console.log(`Migrated ${closed.modifiedCount} closed jobs`)
+
+  await disconnectDB()
+}
+
+migrateJobLifecycle().catch((err) => console.log(err))
@@ -0,0 +1,30 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Job = require('../models/Job')
+
+// Jobs posted before moderation existed were never reviewed. This approves
+// the ones that are live so they stay in public listings, and marks alerts
+// as sent for every job that was already published. Run it once, before
+// new postings start coming in.
+async function migrateJobModeration() {
+  await connectDB()
+
+  const approved = await Job.updateMany(
+    {
+      moderationStatus: 'pending',
+      moderatedAt: null,
+      status: { $ne: 'draft' },
+    },
+    { $set: { moderationStatus: 'accepted', moderatedAt: new Date() } },
+  )
+  console.log(`Approved ${approved.modifiedCount} existing jobs`)
+
+  const alerted = await Job.collection.updateMany(
+    { publishedAt: { $ne: null }, alertsSentAt: null },
+    [{ $set: { alertsSentAt: '$publishedAt' } }],
+  )
+  console.log(`Marked alerts as sent for ${alerted.modifiedCount} jobs`)
+
+  await disconnectDB()
+}
+
+migrateJobModeration().catch((err) => console.log(err))
@@ -0,0 +1,123 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Post = require('../models/Post')
+const PostLike = require('../models/PostLike')
+const PostView = require('../models/PostView')
+const Comment = require('../models/Comment')
+const Story = require('../models/Story')
+const StoryLike = require('../models/StoryLike')
+const User = require('../models/User')
+
+// Upserts one document per (target, user) pair, so running again does not
+// create duplicates
+const upsertPairs = async (Model, field, pairs, extra = {}) => {
+  if (!pairs.length) return 0
+  const operations = pairs.map(([target, user]) => ({
+    updateOne: {
+      filter: { [field]: target, user },
+      update: { $setOnInsert: { [field]: target, user, ...extra } },
+      upsert: true,
+    },
+  }))
+  const result = await Model.bulkWrite(operations, { ordered: false })
+  return result.upsertedCount
+}
+
+// Sets `counter` on every document of `Target` from a { _id, count } list,
+// zero for the rest
+const writeCounts = async (Target, counter, counts) => {
+  await Target.collection.updateMany({}, { $set: { [counter]: 0 } })
+  const operations = counts.map(({ _id, count }) => ({
+    updateOne: { filter: { _id }, update: { $set: { [counter]: count } } },
+  }))
+  if (operations.length) {
+    await Target.collection.bulkWrite(operations, { ordered: false })
+  }
+}
+
+const countBy = (Model, field) =>
+  Model.aggregate([{ $group: { _id: `$${field}`, count: { $sum: 1 } } }])
+
+// Moves the legacy `Post.likes`, `Post.viewedBy`, `User.likedPosts` and
+// `Story.likes` arrays into the PostLike, PostView and StoryLike
+// collections, then rebuilds the likes, views and comments counters. Safe
+// to run more than once.
+async function migrateLikesAndViews() {
+  await connectDB()
+  await Promise.all([
+    PostLike.syncIndexes(),
+    PostView.syncIndexes(),
+    StoryLike.syncIndexes(),
+  ])
+
+  // The arrays are no longer part of the schemas, so read the raw documents
+  const posts = Post.collection.find(
+    {
+      $or: [
+        { 'likes.0': { $exists: true } },
+        { 'viewedBy.0': { $exists: true } },
+      ],
+    },
+    { projection: { likes: 1, viewedBy: 1 } },
+  )
+  let likes = 0
+  let views = 0
+  for await (const post of posts) {
+    likes += await upsertPairs(
+      PostLike,
+      'post',
+      (post.likes || []).map((user) => [post._id, user]),
+    )
+    views += await upsertPairs(
+      PostView,
+      'post',
+      (post.viewedBy || []).map((user) => [post._id, user]),
+    )
+  }
+
+  // Likes only recorded on the user's side, for posts that still exist
+  const users = User.collection.find(
+    { 'likedPosts.0': { $exists: true } },
+    { projection: { likedPosts: 1 } },
+  )
+  for await (const user of users) {
+    const existing = await Post.collection.distinct('_id', {
+      _id: { $in: user.likedPosts },
+    })
+    likes += await upsertPairs(
+      PostLike,
+      'post',
+      existing.map((post) => [post, user._id]),
+    )
+  }
+  console.log(`Created ${likes} post likes and ${views} post views`)
+
+  const stories = Story.collection.find(
+    { 'likes.0': { $exists: true } },
+    { projection: { likes: 1, expiresAt: 1 } },
+  )
+  let storyLikes = 0
+  for await (const story of stories) {
+    storyLikes += await upsertPairs(
+      StoryLike,
+      'story',
+      story.likes.map((user) => [story._id, user]),
+      { expiresAt: story.expiresAt },
+    )
+  }
+  console.log(`Created ${storyLikes} story likes`)
+
+  await writeCounts(Post, 'likesCount', await countBy(PostLike, 'post'))
+  await writeCounts(Post, 'viewsCount', await countBy(PostView, 'post'))
+  await writeCounts(Post, 'commentsCount', await countBy(Comment, 'postId'))
+  await writeCounts(Story, 'likesCount', await countBy(StoryLike, 'story'))
+  console.log('Rebuilt likes, views and comments counters')
+
+  await Post.collection.updateMany({}, { $unset: { likes: '', viewedBy: '' } })
+  await User.collection.updateMany({}, { $unset: { likedPosts: '' } })
+  await Story.collection.updateMany({}, { $unset: { likes: '' } })
+  console.log('Removed legacy like and view arrays')
+
+  await disconnectDB()
+}
+
+migrateLikesAndViews().catch((err) => console.log(err))
@@ -0,0 +1,20 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Post = require('../models/Post')
+
+// Posts are listed by `postedAt`, when they went live. This sets it on
+// existing posts from `publishedAt`, or `createdAt` for posts published
+// before drafts existed. Run it before `migrate:timelines`.
+async function migratePostedAt() {
+  await connectDB()
+  await Post.syncIndexes()
+
+  const result = await Post.collection.updateMany(
+    { postedAt: { $exists: false } },
+    [{ $set: { postedAt: { $ifNull: ['$publishedAt', '$createdAt'] } } }],
+  )
+  console.log(`Set postedAt on ${result.modifiedCount} posts`)
+
+  await disconnectDB()
+}
+
+migratePostedAt().catch((err) => console.log(err))
@@ -0,0 +1,30 @@
+const { connectDB, disconnectDB } = require('../config/configDB')
+const Skill = require('../models/Skill')
+const skills = require('../config/skills.json')
+
+// Loads the skill taxonomy from config/skills.json. Existing skills keep
+// their id, so jobs and profiles that point at them stay linked.
+async function seedSkills() {
+  await connectDB()
+
+  let created = 0
+  for (const { name, category, aliases } of skills) {
+    const result = await Skill.updateOne(
+      { slug: Skill.slugify(name) },
+      {
+        $set: { name, category },
+        $addToSet: {
+          aliases: { $each: aliases.map((alias) => alias.toLowerCase()) },
+        },
+      },
+      { upsert: true },
+    )
+    created += result.upsertedCount
+  }
+
+  console.log(`Seeded ${skills.length} skills, ${created} new`)
+
+  await disconnectDB()
+}
+
+seedSkills().catch((err) => console.log(err))
@@ -0,0 +1,245 @@
+const mongoose = require('mongoose')
+
+const StageChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      default: null,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    note: {
+      type: String,
+      trim: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+// A file the applicant uploaded through /api/uploads/documents (local) or a
+// private presigned S3 URL, see utils/job/attachments.js
+const AttachmentSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    storage: {
+      type: String,
+      enum: ['local', 's3'],
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+    fileName: {
+      type: String,
+    },
+    fileType: {
+      type: String,
+    },
+  },
+  { _id: false },
+)
+
+const InterviewSlotSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// The poster proposes slots, the applicant accepts one of them
+const InterviewSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['proposed', 'scheduled'],
+      default: 'proposed',
+    },
+    slots: {
+      type: [InterviewSlotSchema],
+      default: [],
+    },
+    location: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+      default: '',
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    proposedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Copied from the accepted slot
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    acceptedAt: {
+      type: Date,
+      default: null,
+    },
+    // Bumped whenever the interview is rescheduled, used by calendar invites
+    sequence: {
+      type: Number,
+      default: 0,
+    },
+    // Reminder lead times already sent for the scheduled slot, e.g. '24h'
+    remindersSent: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false },
+)
+
+const ApplicationSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+    applicant: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    stage: {
+      type: String,
+      enum: [
+        'applied',
+        'screening',
+        'interview',
+        'offer',
+        'rejected',
+        'withdrawn',
+      ],
+      default: 'applied',
+    },
+    stageHistory: {
+      type: [StageChangeSchema],
+      default: [],
+    },
+    resume: {
+      type: AttachmentSchema,
+      default: null,
+    },
+    coverLetter: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+    },
+    coverLetterFile: {
+      type: AttachmentSchema,
+      default: null,
+    },
+    answers: [
+      {
+        questionId: {
+          type: mongoose.Schema.Types.ObjectId, // Job.screeningQuestions._id
+        },
+        question: {
+          type: String,
+          required: true,
+        },
+        answer: {
+          type: mongoose.Schema.Types.Mixed,
+        },
+        knockedOut: {
+          type: Boolean,
+          default: false,
+        },
+        _id: false,
+      },
+    ],
+    // Set when a knockout question with the 'flag' action was failed
+    flagged: {
+      type: Boolean,
+      default: false,
+    },
+    flagReasons: [String],
+    interview: {
+      type: InterviewSchema,
+      default: null,
+    },
+    // Who referred the applicant, shown to the poster as "referred by"
+    referral: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Referral',
+      default: null,
+    },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true },
+)
+
+// One application per user per job
+ApplicationSchema.index({ job: 1, applicant: 1 }, { unique: true })
+ApplicationSchema.index({ job: 1, stage: 1 })
+ApplicationSchema.index({ applicant: 1, createdAt: -1 })
+ApplicationSchema.index({ 'interview.status': 1, 'interview.startsAt': 1 })
+
+// Move the application to a new stage and record the change
+ApplicationSchema.methods.moveToStage = function (stage, changedBy, note) {
+  this.stageHistory.push({ from: this.stage, to: stage, changedBy, note })
+  this.stage = stage
+  return this.save()
+}
+
+// The application as the applicant sees it. Screening outcomes and the
+// notes of the people reviewing it stay internal.
+ApplicationSchema.methods.toApplicantJSON = function () {
+  const {
+    flagged,
+    flagReasons,
+    answers = [],
+    stageHistory = [],
+    ...application
+  } = this.toJSON()
+  const applicantId = this.populated('applicant') || this.applicant
+  return {
+    ...application,
+    answers: answers.map(({ knockedOut, ...answer }) => answer),
+    stageHistory: stageHistory.map(({ note, ...change }) =>
+      change.changedBy && String(change.changedBy) === String(applicantId)
+        ? { ...change, note }
+        : change,
+    ),
+  }
+}
+
+module.exports = mongoose.model('Application', ApplicationSchema)
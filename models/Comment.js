@@ -1,4 +1,5 @@
 const mongoose = require('mongoose')
+const mentionSchema = require('./schemas/mention')
 
 const Comment = new mongoose.Schema(
   {
@@ -24,10 +25,18 @@ const Comment = new mongoose.Schema(
       type: [mongoose.Schema.Types.ObjectId],
       default: [],
     },
+    // Users mentioned in the content, see utils/post/mentions.js
+    mentions: {
+      type: [mentionSchema],
+      default: [],
+    },
   },
   {
     timestamps: true,
   },
 )
 
-module.exports = mongoose.model('Comment', Comment)
\ No newline at end of file
+Comment.index({ postId: 1, parentComment: 1, createdAt: 1, _id: 1 })
+Comment.index({ parentComment: 1, createdAt: 1, _id: 1 })
+
+module.exports = mongoose.model('Comment', Comment)
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose')
+
+const CompanySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    logo: {
+      type: String,
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    website: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    size: {
+      type: String,
+      enum: ['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+', null],
+      default: null,
+    },
+    // Admins can edit the page, post jobs for the company and see applicants
+    admins: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Anyone can claim a company, so a site admin has to confirm the claim.
+    // Until the page is verified its admins can only edit it.
+    verificationStatus: {
+      type: String,
+      enum: ['pending', 'verified', 'rejected'],
+      default: 'pending',
+    },
+    verificationReason: {
+      type: String,
+      default: null,
+    },
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    verifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+)
+
+CompanySchema.index({ name: 'text' })
+CompanySchema.index({ admins: 1 })
+CompanySchema.index({ verificationStatus: 1, createdAt: 1 })
+
+// "Acme, Inc." and "ACME inc" both become "acme"
+CompanySchema.statics.slugify = function (name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(inc|llc|ltd|limited|corp|corporation|co|pvt|gmbh)\b/g, ' ')
+    .trim()
+    .replace(/\s+/g, '-')
+}
+
+CompanySchema.methods.isAdmin = function (userId) {
+  return this.admins.some(
+    (admin) => (admin._id || admin).toString() === userId.toString(),
+  )
+}
+
+// Admins of a verified company can post jobs for it, see its applicants and
+// manage its admins
+CompanySchema.methods.isVerifiedAdmin = function (userId) {
+  return this.verificationStatus === 'verified' && this.isAdmin(userId)
+}
+
+module.exports = mongoose.model('Company', CompanySchema)
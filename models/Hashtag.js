@@ -0,0 +1,37 @@
+const mongoose = require('mongoose')
+
+// One document per hashtag used in post captions, see utils/post/hashtags.js
+const HashtagSchema = new mongoose.Schema(
+  {
+    // Normalised form without the '#', e.g. "webdev"
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Spelling of the first post that used it, e.g. "WebDev"
+    display: {
+      type: String,
+      required: true,
+    },
+    postsCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    followersCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true },
+)
+
+HashtagSchema.index({ postsCount: -1 })
+
+module.exports = mongoose.model('Hashtag', HashtagSchema)
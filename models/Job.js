@@ -1,4 +1,74 @@
 const mongoose = require('mongoose')
+const { toAnnual } = require('../utils/job/compensation')
+const { rates, periodsPerYear } = require('../config/configCompensation')
+
+const screeningQuestionSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['text', 'yes-no', 'multiple-choice', 'numeric'],
+  },
+  options: [String], // Choices for multiple-choice questions
+  required: {
+    type: Boolean,
+    default: true,
+  },
+  // Answers outside these bounds flag or reject the candidate
+  knockout: {
+    action: {
+      type: String,
+      enum: ['flag', 'reject'],
+    },
+    expectedAnswer: Boolean, // yes-no
+    acceptedOptions: [String], // multiple-choice
+    min: Number, // numeric
+    max: Number, // numeric
+  },
+})
+
+// Pay range for a period in a currency. annualMin/annualMax hold the range
+// per year in the base currency so jobs can be searched across currencies.
+const compensationSchema = new mongoose.Schema(
+  {
+    min: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    max: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+      uppercase: true,
+      enum: Object.keys(rates),
+    },
+    period: {
+      type: String,
+      required: true,
+      enum: Object.keys(periodsPerYear),
+    },
+    equity: {
+      type: Boolean,
+      default: false,
+    },
+    annualMin: {
+      type: Number,
+    },
+    annualMax: {
+      type: Number,
+    },
+  },
+  { _id: false },
+)
 
 const jobSchema = new mongoose.Schema(
   {
@@ -7,10 +77,17 @@ const jobSchema = new mongoose.Schema(
       ref: 'User',
       required: true,
     },
+    // Display name, kept in sync with the linked company page if there is one
     company: {
       type: String,
       required: true,
     },
+    companyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      default: null,
+      index: true,
+    },
     position: {
       type: String,
       required: true,
@@ -25,10 +102,9 @@ const jobSchema = new mongoose.Schema(
       required: true,
       enum: ['remote', 'on-site', 'hybrid'],
     },
-    salary: {
-      type: Number,
-      min: 0,
-      default: 0,
+    compensation: {
+      type: compensationSchema,
+      default: null,
     },
     description: {
       type: String,
@@ -43,33 +119,173 @@ const jobSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Skills from the taxonomy, used to score applicants, see
+    // utils/job/skills.js
+    requiredSkills: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill',
+      },
+    ],
+    niceToHaveSkills: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill',
+      },
+    ],
     imageURL: {
       type: String,
       default: null, // Optional field
     },
+    // Lifecycle of the posting, see utils/job/jobLifecycle.js
     status: {
       type: String,
-      enum: [
-        'pending',
-        'accepted',
-        'rejected',
-        'no longer accepting responses',
-      ],
+      enum: ['draft', 'published', 'paused', 'closed', 'expired'],
+      default: 'published',
+    },
+    // Only accepted jobs show up in public listings
+    moderationStatus: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected'],
       default: 'pending',
     },
-    applicants: [
+    moderationReason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    moderatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set by a new report: the job stays listed but is back in the
+    // moderation queue until an admin decides again
+    needsReview: {
+      type: Boolean,
+      default: false,
+    },
+    // Reports from users
+    flags: [
       {
-        type: mongoose.Schema.Types.ObjectId, // Reference to Users who applied
-        ref: 'User',
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: 500,
+          required: true,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+        _id: false,
       },
     ],
+    // Saved search alerts go out once, the first time the job is public
+    alertsSentAt: {
+      type: Date,
+      default: null,
+    },
+    applicationDeadline: {
+      type: Date,
+      default: null,
+    },
+    maxApplicants: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Applications that are not withdrawn. Applying takes a place with a
+    // conditional update, so concurrent applies cannot go over
+    // `maxApplicants`, see utils/job/jobLifecycle.js
+    activeApplicants: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Lets applicants who withdrew apply again
+    allowReapply: {
+      type: Boolean,
+      default: false,
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closedReason: {
+      type: String,
+      enum: ['manual', 'deadline', 'max-applicants', null],
+      default: null,
+    },
     category: {
       type: String,
       required: true,
       enum: ['Technology', 'Finance', 'Education', 'Healthcare'], // Example categories
     },
+    screeningQuestions: {
+      type: [screeningQuestionSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
   },
-  { timestamps: true },
 )
 
+// Full-text search over the posting, see controllers/job/searchJobs.js
+jobSchema.index(
+  { position: 'text', company: 'text', description: 'text' },
+  {
+    weights: { position: 5, company: 3, description: 1 },
+    name: 'JobTextIndex',
+  },
+)
+jobSchema.index({ category: 1, type: 1, location: 1, createdAt: -1 })
+jobSchema.index({ status: 1, applicationDeadline: 1 })
+jobSchema.index({ moderationStatus: 1, createdAt: 1 })
+jobSchema.index({ needsReview: 1, updatedAt: 1 })
+// Last change of the public job feeds
+jobSchema.index({ updatedAt: -1 })
+jobSchema.index({ 'compensation.annualMax': -1 })
+
+// Keep the normalised yearly range in step with the posted one
+jobSchema.pre('save', function (next) {
+  const { compensation } = this
+  if (compensation && this.isModified('compensation')) {
+    const { min, max, currency, period } = compensation
+    compensation.annualMin = toAnnual(min, currency, period)
+    compensation.annualMax = toAnnual(max, currency, period)
+  }
+  next()
+})
+
+// Applications are stored in their own collection, see models/Application.js
+jobSchema.virtual('applicants', {
+  ref: 'Application',
+  localField: '_id',
+  foreignField: 'job',
+})
+
+jobSchema.virtual('applicantCount', {
+  ref: 'Application',
+  localField: '_id',
+  foreignField: 'job',
+  count: true,
+})
+
 module.exports = mongoose.model('Job', jobSchema)
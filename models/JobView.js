@@ -0,0 +1,23 @@
+const mongoose = require('mongoose')
+
+// One document per view of a job page, used for recruiter analytics
+const JobViewSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+)
+
+JobViewSchema.index({ job: 1, createdAt: 1 })
+JobViewSchema.index({ job: 1, viewer: 1 })
+
+module.exports = mongoose.model('JobView', JobViewSchema)
@@ -83,5 +83,7 @@ MessageSchema.index({ sender: 1, recipient: 1 });
 MessageSchema.index({ group: 1 });
 MessageSchema.index({ participants: 1 });
 MessageSchema.index({ createdAt: -1 });
+MessageSchema.index({ group: 1, createdAt: -1, _id: -1 });
+MessageSchema.index({ sender: 1, recipient: 1, createdAt: -1, _id: -1 });
 
 module.exports = mongoose.model('Message', MessageSchema); 
\ No newline at end of file
@@ -9,7 +9,15 @@ const NotificationSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['like', 'comment', 'follow-request', 'job', 'message'],
+    enum: [
+      'like',
+      'comment',
+      'follow-request',
+      'job',
+      'message',
+      'mention',
+      'post',
+    ],
   },
   title: { type: String, required: true },
   message: { type: String, required: true },
@@ -1,4 +1,33 @@
 const mongoose = require('mongoose')
+const mentionSchema = require('./schemas/mention')
+
+// Totals over all plays of a reel, kept in step with the ReelWatch
+// collection. Watch time is in seconds.
+const reelStatsSchema = new mongoose.Schema(
+  {
+    plays: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    viewers: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    watchTime: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    completions: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false },
+)
 
 const PostSchema = new mongoose.Schema(
   {
@@ -18,11 +47,6 @@ const PostSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
-    likes: {
-      type: [mongoose.Schema.Types.ObjectId],
-      ref: 'User',
-      default: [], // Initialize as empty array
-    },
     comments: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -74,6 +98,16 @@ const PostSchema = new mongoose.Schema(
         trim: true,
       },
     ],
+    // Normalised hashtags parsed from the caption, see utils/post/hashtags.js
+    hashtags: {
+      type: [String],
+      default: [],
+    },
+    // Users mentioned in the caption, see utils/post/mentions.js
+    mentions: {
+      type: [mentionSchema],
+      default: [],
+    },
     location: {
       type: String,
     },
@@ -81,16 +115,70 @@ const PostSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
-    viewedBy: [
-      {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-      },
-    ],
+    // Drafts and scheduled posts are only visible to their author until they
+    // are published, see utils/post/scheduledPosts.js
+    status: {
+      type: String,
+      enum: ['draft', 'scheduled', 'published'],
+      default: 'published',
+    },
+    scheduledAt: {
+      type: Date,
+      default: null,
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    // When the post went live: the creation time, moved to `publishedAt`
+    // when a draft or scheduled post is published. Lists, windows and
+    // cursors order posts by it.
+    postedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Counters kept in step with the PostLike and PostView collections and
+    // the post's comments, including replies
+    likesCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    viewsCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    commentsCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Length of a reel in seconds, bounds the watch time of each play
+    duration: {
+      type: Number,
+      min: 0,
+    },
+    // Reels only, see utils/post/reels.js
+    reelStats: {
+      type: reelStatsSchema,
+      default: undefined,
+    },
   },
   {
     timestamps: true,
   },
 )
 
+PostSchema.index({ hashtags: 1, postedAt: -1 })
+PostSchema.index({ postedAt: -1, _id: -1 })
+PostSchema.index({ status: 1, scheduledAt: 1 })
+PostSchema.index({ author: 1, status: 1, updatedAt: -1 })
+PostSchema.index({ author: 1, postedAt: -1, _id: -1 })
+PostSchema.index({ likesCount: -1, commentsCount: -1, createdAt: -1, _id: -1 })
+PostSchema.index({ hashtags: 1, likesCount: -1, postedAt: -1 })
+PostSchema.index({ type: 1, postedAt: -1, _id: -1 })
+PostSchema.index({ type: 1, 'reelStats.plays': -1, _id: -1 })
+PostSchema.index({ author: 1, type: 1, postedAt: -1, _id: -1 })
+
 module.exports = mongoose.model('Post', PostSchema)
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose')
+
+// One document per user who liked a post. The post keeps the count in
+// `likesCount`, see utils/post/engagement.js
+const PostLikeSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+)
+
+// A user likes a post at most once
+PostLikeSchema.index({ post: 1, user: 1 }, { unique: true })
+PostLikeSchema.index({ post: 1, createdAt: -1, _id: -1 })
+PostLikeSchema.index({ user: 1, createdAt: -1 })
+
+module.exports = mongoose.model('PostLike', PostLikeSchema)
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose')
+
+// One document per user who viewed a post. The post keeps the count in
+// `viewsCount`, see utils/post/engagement.js
+const PostViewSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+)
+
+// Views are unique per user
+PostViewSchema.index({ post: 1, user: 1 }, { unique: true })
+PostViewSchema.index({ user: 1, createdAt: -1 })
+
+module.exports = mongoose.model('PostView', PostViewSchema)
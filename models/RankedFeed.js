@@ -0,0 +1,51 @@
+const mongoose = require('mongoose')
+
+// A post in a ranked feed, in the order it was ranked
+const rankedItemSchema = new mongoose.Schema(
+  {
+    // The post's id, so pages are cut by score and id
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+    // Score breakdown, kept when the feed was ranked in debug mode
+    ranking: {
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined,
+    },
+  },
+  { _id: false },
+)
+
+// A ranking of one feed for one viewer, computed on its first page. Later
+// pages read it instead of ranking again, so posts whose counters change in
+// the meantime neither repeat nor get skipped. See
+// utils/post/ranking/pipeline.js
+const RankedFeedSchema = new mongoose.Schema({
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  feed: {
+    type: String,
+    required: true,
+  },
+  items: {
+    type: [rankedItemSchema],
+    default: [],
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+RankedFeedSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('RankedFeed', RankedFeedSchema)
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose')
+
+// How one user watched one reel, summed over all their plays. The reel keeps
+// totals over all users in `reelStats`, where each user's first few plays
+// count, see utils/post/reels.js
+const ReelWatchSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    plays: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Seconds, over all plays
+    watchTime: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    completions: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // First time the user watched the reel to the end
+    completedAt: {
+      type: Date,
+    },
+    lastWatchedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true },
+)
+
+ReelWatchSchema.index({ post: 1, user: 1 }, { unique: true })
+ReelWatchSchema.index({ user: 1, completedAt: 1 })
+
+module.exports = mongoose.model('ReelWatch', ReelWatchSchema)
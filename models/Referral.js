@@ -0,0 +1,42 @@
+const mongoose = require('mongoose')
+
+// A user pointing someone they follow to a job
+const ReferralSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: true,
+    },
+    referrer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    candidate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: '',
+    },
+    // Set once the candidate applies through this referral
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Application',
+      default: null,
+    },
+  },
+  { timestamps: true },
+)
+
+// A user can refer the same person to a job only once
+ReferralSchema.index({ job: 1, candidate: 1, referrer: 1 }, { unique: true })
+ReferralSchema.index({ referrer: 1, createdAt: -1 })
+ReferralSchema.index({ candidate: 1, createdAt: -1 })
+
+module.exports = mongoose.model('Referral', ReferralSchema)
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose')
+
+const SavedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Empty lists match every value
+    criteria: {
+      keywords: {
+        type: String,
+        trim: true,
+        default: '',
+      },
+      category: [String],
+      type: {
+        type: [String],
+      },
+      location: [String],
+      // Yearly, in the base currency (see config/currencyRates.json)
+      minSalary: {
+        type: Number,
+        min: 0,
+        default: null,
+      },
+    },
+    frequency: {
+      type: String,
+      enum: ['instant', 'daily'],
+      default: 'instant',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Matching jobs waiting for the next daily digest
+    pendingJobs: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Job',
+      },
+    ],
+    lastDigestAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true },
+)
+
+SavedSearchSchema.index({ isActive: 1, frequency: 1 })
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema)
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose')
+
+// Shared list of skills used by jobs and user profiles
+const SkillSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    category: {
+      type: String,
+      trim: true,
+      default: 'Other',
+    },
+    // Other spellings that resolve to this skill, stored lowercase
+    aliases: {
+      type: [String],
+      default: [],
+    },
+  },
+  { timestamps: true },
+)
+
+SkillSchema.index({ aliases: 1 })
+
+// "Node.js" becomes "node-js", "C#" becomes "c-sharp"
+SkillSchema.statics.slugify = function (name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/\+/g, ' plus ')
+    .replace(/#/g, ' sharp ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+module.exports = mongoose.model('Skill', SkillSchema)
@@ -21,10 +21,12 @@ const StorySchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     }],
-    likes: [{
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    }],
+    // Likes are stored in the StoryLike collection
+    likesCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     replies: [{
       user: {
         type: mongoose.Schema.Types.ObjectId,
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose')
+
+// One document per user who liked a story. It expires with the story.
+const StoryLikeSchema = new mongoose.Schema(
+  {
+    story: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Story',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+)
+
+StoryLikeSchema.index({ story: 1, user: 1 }, { unique: true })
+StoryLikeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('StoryLike', StoryLikeSchema)
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose')
+
+// A post in a user's home timeline, written when the post is published
+// (fan-out on write), see utils/post/timeline.js
+const TimelineEntrySchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // When the post was published, the timeline is ordered by it
+  postedAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+TimelineEntrySchema.index({ owner: 1, post: 1 }, { unique: true })
+TimelineEntrySchema.index({ owner: 1, postedAt: -1, post: -1 })
+TimelineEntrySchema.index({ owner: 1, author: 1 })
+TimelineEntrySchema.index({ author: 1 })
+TimelineEntrySchema.index({ post: 1 })
+// Timelines keep the last 30 days of posts
+TimelineEntrySchema.index(
+  { postedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 },
+)
+
+module.exports = mongoose.model('TimelineEntry', TimelineEntrySchema)
@@ -44,6 +44,12 @@ const UserSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Admins can moderate content such as job postings
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user',
+    },
     preferences: {
       type: [String], // Array of Strings
       enum: [
@@ -85,13 +91,13 @@ const UserSchema = new mongoose.Schema(
         ref: 'Post',
       },
     ],
-    savedPosts: [
+    followedHashtags: [
       {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Post',
+        ref: 'Hashtag',
       },
     ],
-    likedPosts: [
+    savedPosts: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Post',
@@ -103,12 +109,6 @@ const UserSchema = new mongoose.Schema(
         ref: 'Job',
       },
     ],
-    appliedJobs: [
-      {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Job',
-      },
-    ],
     postedJobs: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -120,6 +120,13 @@ const UserSchema = new mongoose.Schema(
       default: false, // Whether the user's account is private
     },
     interests: [String],
+    // Declared skills from the taxonomy, matched against job skills
+    skills: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Skill',
+      },
+    ],
     createdAt: {
       type: Date,
       default: Date.now,
@@ -157,7 +164,18 @@ const UserSchema = new mongoose.Schema(
       },
     },
   },
-  { timestamps: true }, // Automatically adds createdAt & updatedAt fields
+  {
+    timestamps: true, // Automatically adds createdAt & updatedAt fields
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
 )
 
+// The user's Application documents; populate `job` on them for the jobs
+UserSchema.virtual('applications', {
+  ref: 'Application',
+  localField: '_id',
+  foreignField: 'applicant',
+})
+
 module.exports = mongoose.model('User', UserSchema)
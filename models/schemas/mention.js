@@ -0,0 +1,29 @@
+const mongoose = require('mongoose')
+
+// An `@username` in a post caption or comment, resolved when the text is
+// saved. `offset` and `length` locate it in the text in UTF-16 code units.
+// See utils/post/mentions.js
+const mentionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+    offset: {
+      type: Number,
+      required: true,
+    },
+    length: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false },
+)
+
+module.exports = mentionSchema
@@ -5,7 +5,11 @@ const router = express.Router()
 router.use('/notifications', require('../routes/notification'))
 router.use('/auth', require('../routes/auth'))
 router.use('/posts', require('../routes/post'))
+router.use('/hashtags', require('../routes/hashtag'))
 router.use('/jobs', require('../routes/job'))
+router.use('/companies', require('../routes/company'))
+router.use('/skills', require('../routes/skill'))
+router.use('/feeds', require('../routes/feed'))
 router.use('/users', require('../routes/user'))
 router.use('/comments', require('../routes/comment'))
 router.use('/clerk', require('../routes/clerk'))
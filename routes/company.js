@@ -0,0 +1,37 @@
+const express = require('express')
+const companyRouter = express.Router()
+const { verifyClerkToken } = require('../middleware/clerk/verifyToken.js')
+const requireAdmin = require('../middleware/main/requireAdmin')
+
+companyRouter.use(verifyClerkToken)
+
+companyRouter.post('/', require('../controllers/company/createCompany'))
+companyRouter.get(
+  '/verification/queue',
+  requireAdmin,
+  require('../controllers/company/getCompanyVerificationQueue'),
+)
+companyRouter.get('/', require('../controllers/company/getCompanies'))
+companyRouter.get('/:slug', require('../controllers/company/getCompanyBySlug'))
+companyRouter.patch('/:id', require('../controllers/company/updateCompany'))
+companyRouter.patch(
+  '/:id/verification',
+  requireAdmin,
+  require('../controllers/company/verifyCompany'),
+)
+
+// Company admins
+companyRouter.post(
+  '/:id/admins',
+  require('../controllers/company/addCompanyAdmin'),
+)
+companyRouter.delete(
+  '/:id/admins/:userId',
+  require('../controllers/company/removeCompanyAdmin'),
+)
+companyRouter.get(
+  '/:id/applicants',
+  require('../controllers/company/getCompanyApplicants'),
+)
+
+module.exports = companyRouter
@@ -0,0 +1,10 @@
+const express = require('express')
+const feedRouter = express.Router()
+
+// Public feeds for job boards and feed readers, no token needed
+feedRouter.get(
+  '/jobs.:format(rss|atom|json)',
+  require('../controllers/feed/getJobFeed'),
+)
+
+module.exports = feedRouter
@@ -0,0 +1,28 @@
+const express = require('express')
+const hashtagRouter = express.Router()
+const { verifyClerkToken } = require('../middleware/clerk/verifyToken.js')
+
+hashtagRouter.use(verifyClerkToken)
+
+// Static routes before `/:name`
+hashtagRouter.get('/search', require('../controllers/hashtag/searchHashtags'))
+hashtagRouter.get(
+  '/trending',
+  require('../controllers/hashtag/getTrendingHashtags'),
+)
+hashtagRouter.get(
+  '/following',
+  require('../controllers/hashtag/getFollowedHashtags'),
+)
+
+hashtagRouter.get('/:name', require('../controllers/hashtag/getHashtag'))
+hashtagRouter.get(
+  '/:name/posts',
+  require('../controllers/hashtag/getHashtagPosts'),
+)
+hashtagRouter.post(
+  '/:name/follow',
+  require('../controllers/hashtag/followOrUnfollowHashtag'),
+)
+
+module.exports = hashtagRouter
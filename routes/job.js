@@ -2,10 +2,26 @@ const express = require('express')
 const jobRouter = express.Router()
 const { verifyClerkToken } = require('../middleware/clerk/verifyToken.js')
 const upload = require('../utils/main/imageUploading')
+const requireAdmin = require('../middleware/main/requireAdmin')
 
 jobRouter.use(verifyClerkToken)
 
-jobRouter.get('/search', require('../controllers/job/searchJobWithTag'))
+jobRouter.get('/search', require('../controllers/job/searchJobs'))
+
+// Saved searches and job alerts
+jobRouter.get('/saved-searches', require('../controllers/job/getSavedSearches'))
+jobRouter.post(
+  '/saved-searches',
+  require('../controllers/job/createSavedSearch'),
+)
+jobRouter.patch(
+  '/saved-searches/:searchId',
+  require('../controllers/job/updateSavedSearch'),
+)
+jobRouter.delete(
+  '/saved-searches/:searchId',
+  require('../controllers/job/deleteSavedSearch'),
+)
 
 jobRouter.post(
   '/create-job',
@@ -13,15 +29,73 @@ jobRouter.post(
   require('../controllers/job/createJob'),
 )
 jobRouter.get('/', require('../controllers/job/getAllJob'))
+jobRouter.get('/analytics', require('../controllers/job/getPosterAnalytics'))
+jobRouter.get('/recommended', require('../controllers/job/getRecommendedJobs'))
+jobRouter.get('/referrals', require('../controllers/job/getMyReferrals'))
+jobRouter.get(
+  '/applications/mine',
+  require('../controllers/job/getMyApplications'),
+)
+
+// Moderation
+jobRouter.get(
+  '/moderation/queue',
+  requireAdmin,
+  require('../controllers/job/getModerationQueue'),
+)
+jobRouter.patch(
+  '/:id/moderation',
+  requireAdmin,
+  require('../controllers/job/moderateJob'),
+)
+jobRouter.post('/:id/flag', require('../controllers/job/flagJob'))
 
 jobRouter.get('/:id', require('../controllers/job/getJobById'))
+jobRouter.get('/:id/analytics', require('../controllers/job/getJobAnalytics'))
 jobRouter.delete('/:id', require('../controllers/job/deleteJob'))
 jobRouter.patch('/:id', require('../controllers/job/updateJob'))
+jobRouter.patch('/:id/status', require('../controllers/job/updateJobStatus'))
 jobRouter.post('/:id/apply', require('../controllers/job/applyForAJob'))
+jobRouter.post('/:id/refer', require('../controllers/job/referCandidate'))
+jobRouter.get(
+  '/:id/application',
+  require('../controllers/job/getMyApplicationForAJob'),
+)
+jobRouter.patch(
+  '/applications/:applicationId/stage',
+  require('../controllers/job/updateApplicationStage'),
+)
+jobRouter.patch(
+  '/applications/:applicationId/withdraw',
+  require('../controllers/job/withdrawApplication'),
+)
+jobRouter.get(
+  '/applications/:applicationId/attachments/:kind',
+  require('../controllers/job/downloadApplicationAttachment'),
+)
+
+// Interview scheduling
+jobRouter.post(
+  '/applications/:applicationId/interview',
+  require('../controllers/job/proposeInterview'),
+)
+jobRouter.patch(
+  '/applications/:applicationId/interview/accept',
+  require('../controllers/job/acceptInterviewSlot'),
+)
+jobRouter.get(
+  '/applications/:applicationId/interview/invite.ics',
+  require('../controllers/job/downloadInterviewInvite'),
+)
+
 jobRouter.get(
   '/applicants/:id',
   require('../controllers/job/getAllApplicantsForAJob.js'),
 )
+jobRouter.get(
+  '/applicants/:id/export',
+  require('../controllers/job/exportApplicantsForAJob'),
+)
 jobRouter.patch(
   '/toggleSave/:id',
   require('../controllers/job/saveOrUnsaveAJob.js'),
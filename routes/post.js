@@ -9,6 +9,7 @@ const deletePost = require('../controllers/post/deletePost')
 const {
   getHomeFeed,
   getExploreFeed,
+  getReelsFeed,
 } = require('../controllers/post/getPersonalizedFeed.js')
 const updateView = require('../controllers/post/updateView.js')
 
@@ -17,6 +18,39 @@ postRouter.use(verifyClerkToken)
 postRouter.get('/search', require('../controllers/post/getPostsByCategory.js'))
 
 postRouter.get('/all', require('../controllers/post/getAllPost.js')) // Get all posts
+
+// Drafts and scheduled posts, before `/:id`
+postRouter.get('/drafts', require('../controllers/post/getDrafts.js'))
+postRouter.patch(
+  '/drafts/:id',
+  checkObjectID,
+  require('../controllers/post/updateDraft.js'),
+)
+postRouter.delete(
+  '/drafts/:id',
+  checkObjectID,
+  require('../controllers/post/deleteDraft.js'),
+)
+postRouter.post(
+  '/drafts/:id/publish',
+  checkObjectID,
+  require('../controllers/post/publishDraft.js'),
+)
+// Reel plays and the author's reel metrics
+postRouter.get(
+  '/reels/metrics',
+  require('../controllers/post/getReelsMetrics.js'),
+)
+postRouter.get(
+  '/reels/:id/metrics',
+  checkObjectID,
+  require('../controllers/post/getReelMetrics.js'),
+)
+postRouter.post(
+  '/reels/:id/watch',
+  checkObjectID,
+  require('../controllers/post/recordReelWatch.js'),
+)
 postRouter.get('/user/:userId', getUserPosts) // Get posts for a specific user
 postRouter.get(
   '/:id',
@@ -41,5 +75,6 @@ postRouter.patch('/view/:id', updateView)
 
 postRouter.get('/feed/home/:id', getHomeFeed)
 postRouter.get('/feed/explore/:id', getExploreFeed)
+postRouter.get('/feed/reels/:id', getReelsFeed)
 
 module.exports = postRouter
@@ -0,0 +1,11 @@
+const express = require('express')
+const skillRouter = express.Router()
+const { verifyClerkToken } = require('../middleware/clerk/verifyToken.js')
+const requireAdmin = require('../middleware/main/requireAdmin')
+
+skillRouter.use(verifyClerkToken)
+
+skillRouter.get('/', require('../controllers/skill/getSkills'))
+skillRouter.post('/', requireAdmin, require('../controllers/skill/createSkill'))
+
+module.exports = skillRouter
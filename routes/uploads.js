@@ -5,6 +5,7 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const { requireAuth } = require('../middleware/authMiddleware');
+const { documentUpload } = require('../utils/job/attachments');
 
 // Ensure uploads directory exists
 const uploadDir = path.join(__dirname, '../public/uploads');
@@ -99,6 +100,43 @@ router.post('/', requireAuth, upload.single('file'), (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/uploads/documents
+ * @desc Upload a resume or cover letter for job applications. The file is
+ * not public: it can only be attached by the uploader and downloaded
+ * through the application's attachment route.
+ * @access Private
+ */
+router.post('/documents', requireAuth, documentUpload.single('file'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const fileUrl = `${baseUrl}/api/uploads/documents/${req.file.filename}`;
+
+    return res.status(201).json({
+      success: true,
+      message: 'File uploaded successfully',
+      fileUrl,
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      fileType: 'file'
+    });
+  } catch (error) {
+    console.error('Error uploading document:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during file upload',
+      error: error.message
+    });
+  }
+});
+
 // Helper function to determine file type from MIME type
 function getFileTypeFromMime(mimeType) {
   if (mimeType.startsWith('image/')) return 'image';
@@ -0,0 +1,32 @@
+const { sendDailyDigests } = require('../utils/job/jobAlerts')
+const { sweepJobs } = require('../utils/job/jobLifecycle')
+const { sendInterviewReminders } = require('../utils/job/interviews')
+const { publishDuePosts } = require('../utils/post/scheduledPosts')
+
+const minuteInMs = 60 * 1000
+const hourInMs = 60 * minuteInMs
+
+// Background tasks that run on an interval inside the API process
+const tasks = [
+  { name: 'Job alert digests', run: sendDailyDigests, interval: hourInMs },
+  { name: 'Job sweeper', run: sweepJobs, interval: 15 * minuteInMs },
+  {
+    name: 'Interview reminders',
+    run: sendInterviewReminders,
+    interval: 5 * minuteInMs,
+  },
+  { name: 'Scheduled posts', run: publishDuePosts, interval: minuteInMs },
+]
+
+const startSchedulers = () => {
+  for (const task of tasks) {
+    setInterval(() => {
+      task.run().catch((error) => {
+        console.error(`❌ Scheduler "${task.name}" failed:`, error)
+      })
+    }, task.interval)
+  }
+  console.log(`⏰ Started ${tasks.length} scheduled task(s)`)
+}
+
+module.exports = { startSchedulers }
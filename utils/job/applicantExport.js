@@ -0,0 +1,149 @@
+const { Readable } = require('stream')
+const { pipeline } = require('stream/promises')
+const { describeAttachment } = require('./attachments')
+
+const applicantFields = 'username firstName lastName email bio profileImg'
+
+// Values starting with these could run as formulas in spreadsheet apps
+const formulaPrefix = /^[=+\-@\t\r]/
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return ''
+  let text = Array.isArray(value) ? value.join('; ') : String(value)
+  if (formulaPrefix.test(text)) text = `'${text}`
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsvRow = (values) => values.map(toCsvValue).join(',') + '\r\n'
+
+// One export record per application, shared by the CSV and JSON formats
+const toExportRecord = (req, job, application) => {
+  const applicant = application.applicant || {}
+  const answers = new Map(
+    (application.answers || []).map((answer) => [
+      answer.questionId.toString(),
+      answer.answer,
+    ]),
+  )
+
+  return {
+    applicationId: application._id,
+    applicant: {
+      id: applicant._id || null,
+      username: applicant.username || null,
+      firstName: applicant.firstName || null,
+      lastName: applicant.lastName || null,
+      email: applicant.email || null,
+      bio: applicant.bio || null,
+      profileImg: applicant.profileImg || null,
+    },
+    stage: application.stage,
+    flagged: application.flagged,
+    flagReasons: application.flagReasons,
+    appliedAt: application.createdAt,
+    referredBy: application.referredBy ? application.referredBy.username : null,
+    answers: job.screeningQuestions.map((question) => ({
+      questionId: question._id,
+      question: question.question,
+      answer: answers.has(question._id.toString())
+        ? answers.get(question._id.toString())
+        : null,
+    })),
+    resume: describeAttachment(
+      req,
+      application._id,
+      'resume',
+      application.resume,
+    ),
+    coverLetterFile: describeAttachment(
+      req,
+      application._id,
+      'coverLetter',
+      application.coverLetterFile,
+    ),
+  }
+}
+
+const csvHeader = (job) =>
+  toCsvRow([
+    'Application ID',
+    'Username',
+    'First name',
+    'Last name',
+    'Email',
+    'Bio',
+    'Stage',
+    'Flagged',
+    'Flag reasons',
+    'Applied at',
+    'Referred by',
+    'Resume',
+    'Cover letter',
+    ...job.screeningQuestions.map((question) => question.question),
+  ])
+
+const csvRecord = (record) =>
+  toCsvRow([
+    record.applicationId,
+    record.applicant.username,
+    record.applicant.firstName,
+    record.applicant.lastName,
+    record.applicant.email,
+    record.applicant.bio,
+    record.stage,
+    record.flagged ? 'yes' : 'no',
+    record.flagReasons,
+    record.appliedAt && record.appliedAt.toISOString(),
+    record.referredBy,
+    record.resume && record.resume.downloadUrl,
+    record.coverLetterFile && record.coverLetterFile.downloadUrl,
+    ...record.answers.map(({ answer }) =>
+      typeof answer === 'boolean' ? (answer ? 'yes' : 'no') : answer,
+    ),
+  ])
+
+// Yields the export in chunks: the header, then one chunk per application
+async function* exportChunks(req, cursor, { job, format }) {
+  // The BOM makes Excel read the file as UTF-8
+  yield format === 'csv' ? '\uFEFF' + csvHeader(job) : '['
+
+  let first = true
+  for await (const application of cursor) {
+    const record = toExportRecord(req, job, application)
+    if (format === 'csv') {
+      yield csvRecord(record)
+    } else {
+      yield (first ? '\n' : ',\n') + JSON.stringify(record)
+    }
+    first = false
+  }
+
+  if (format === 'json') yield first ? ']' : '\n]'
+}
+
+// Streams the applications matched by `query` one document at a time, so
+// memory use does not grow with the number of applicants. The pipeline waits
+// for the client to catch up, and stops reading from the database and closes
+// the cursor when the client goes away.
+const streamApplicants = async (req, res, { job, query, format }) => {
+  const cursor = query
+    .populate('applicant', applicantFields)
+    .populate('referredBy', 'username')
+    .lean()
+    .cursor({ batchSize: 100 })
+
+  try {
+    await pipeline(
+      Readable.from(exportChunks(req, cursor, { job, format })),
+      res,
+    )
+  } catch (error) {
+    // The client went away before the end of the export
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return
+    throw error
+  } finally {
+    await cursor.close().catch(() => {})
+  }
+}
+
+module.exports = { streamApplicants }
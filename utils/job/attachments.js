@@ -0,0 +1,139 @@
+const fs = require('fs')
+const path = require('path')
+const multer = require('multer')
+const { v4: uuidv4 } = require('uuid')
+const s3 = require('../../config/configS3')
+
+// Application documents are stored outside public/, one folder per
+// uploader, so they are only served through the permission-checked
+// download route. Files from before are still read from public/uploads.
+const documentDir = path.join(__dirname, '../../private/documents')
+const legacyUploadDir = path.join(__dirname, '../../public/uploads')
+
+// Prefix of private S3 uploads, followed by the uploader's id
+const privateKeyPrefix = 'private/'
+
+const documentTypes = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx':
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+}
+
+const documentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(documentDir, req.user._id.toString())
+      fs.mkdir(dir, { recursive: true }, (error) => cb(error, dir))
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`)
+    },
+  }),
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase()
+    if (documentTypes[extension]) return cb(null, true)
+    return cb(new Error('Only PDF, Word or text files are allowed'), false)
+  },
+  limits: { fileSize: 20 * 1024 * 1024 },
+})
+
+// S3 key of a private upload by `ownerId`. Slashes in the file name are
+// replaced so the key stays inside the owner's prefix.
+const privateKeyFor = (ownerId, fileName) => {
+  const safeName = String(fileName).replace(/[/\\]/g, '_')
+  return `${privateKeyPrefix}${ownerId}/${Date.now()}_${safeName}`
+}
+
+// Turns a URL returned by POST /api/uploads/documents or by
+// GET /api/aws/get-signed-url with `isPrivate` into a stored attachment.
+// Only files `ownerId` uploaded are accepted; returns null for anything else.
+const resolveAttachment = (fileUrl, fileName, ownerId) => {
+  if (!fileUrl || typeof fileUrl !== 'string' || !ownerId) return null
+
+  let url
+  try {
+    url = new URL(fileUrl)
+  } catch (error) {
+    return null
+  }
+
+  const extension = path.extname(url.pathname).toLowerCase()
+  const fileType = documentTypes[extension]
+  if (!fileType) return null
+
+  // Private files uploaded to our bucket through a presigned URL
+  const bucketHost = `${process.env.AWS_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com`
+  if (url.host === bucketHost) {
+    let key
+    try {
+      key = decodeURIComponent(url.pathname.slice(1))
+    } catch (error) {
+      return null
+    }
+    if (!key.startsWith(`${privateKeyPrefix}${ownerId}/`)) return null
+    return {
+      url: fileUrl,
+      storage: 's3',
+      key,
+      fileName: fileName || path.basename(key),
+      fileType,
+    }
+  }
+
+  // Files stored by the documents upload route, in the owner's folder
+  const localMatch = url.pathname.match(/^\/api\/uploads\/documents\/([^/]+)$/)
+  if (localMatch) {
+    const key = `${ownerId}/${path.basename(localMatch[1])}`
+    if (!fs.existsSync(path.join(documentDir, key))) return null
+    return {
+      url: fileUrl,
+      storage: 'local',
+      key,
+      fileName: fileName || path.basename(key),
+      fileType,
+    }
+  }
+
+  return null
+}
+
+// Sends the attachment to the client, either from disk or through a
+// short-lived S3 link so the bucket object never has to be public.
+const sendAttachment = async (res, attachment) => {
+  if (attachment.storage === 'local') {
+    // Keys without the owner's folder are files from before
+    const dir = attachment.key.includes('/') ? documentDir : legacyUploadDir
+    return res.download(path.join(dir, attachment.key), attachment.fileName)
+  }
+
+  const fileName = attachment.fileName.replace(/"/g, '')
+  const signedUrl = await s3.getSignedUrlPromise('getObject', {
+    Bucket: process.env.AWS_BUCKET_NAME,
+    Key: attachment.key,
+    Expires: 60,
+    ResponseContentDisposition: `attachment; filename="${fileName}"`,
+  })
+  return res.redirect(signedUrl)
+}
+
+// Public description of an attachment. The stored URL is left out so the file
+// can only be fetched through the permission-checked download route.
+const describeAttachment = (req, applicationId, kind, attachment) => {
+  if (!attachment) return null
+  const baseUrl = `${req.protocol}://${req.get('host')}`
+  return {
+    fileName: attachment.fileName,
+    fileType: attachment.fileType,
+    downloadUrl: `${baseUrl}/api/jobs/applications/${applicationId}/attachments/${kind}`,
+  }
+}
+
+module.exports = {
+  documentUpload,
+  privateKeyFor,
+  resolveAttachment,
+  sendAttachment,
+  describeAttachment,
+}
@@ -0,0 +1,78 @@
+const {
+  baseCurrency,
+  rates,
+  periodsPerYear,
+} = require('../../config/configCompensation')
+
+// Converts an amount paid per `period` in `currency` to a yearly amount in
+// the base currency
+const toAnnual = (amount, currency, period) =>
+  Math.round(amount * rates[currency] * periodsPerYear[period])
+
+// Converts an amount in `currency` to the base currency
+const toBaseCurrency = (amount, currency) =>
+  Math.round(amount * rates[currency])
+
+const isSupportedCurrency = (currency) =>
+  Object.prototype.hasOwnProperty.call(rates, currency)
+
+const isSupportedPeriod = (period) =>
+  typeof period === 'string' &&
+  Object.prototype.hasOwnProperty.call(periodsPerYear, period)
+
+// Validates `compensation` from a request body. Multipart forms send it as a
+// JSON string. Returns { error } or { compensation } (null clears it).
+const validateCompensation = (value) => {
+  if (value === null || value === '') return { compensation: null }
+
+  let input = value
+  if (typeof input === 'string') {
+    try {
+      input = JSON.parse(input)
+    } catch (error) {
+      return { error: 'Compensation must be valid JSON' }
+    }
+  }
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Invalid compensation' }
+  }
+
+  const min = input.min === undefined ? null : Number(input.min)
+  const max = input.max === undefined ? min : Number(input.max)
+  if (min === null || !Number.isFinite(min) || min < 0) {
+    return { error: 'Minimum pay must be a positive number' }
+  }
+  if (!Number.isFinite(max) || max < min) {
+    return { error: 'Maximum pay must be at least the minimum pay' }
+  }
+
+  const currency = String(input.currency || baseCurrency).toUpperCase()
+  if (!isSupportedCurrency(currency)) {
+    return { error: `Unsupported currency ${currency}` }
+  }
+
+  const period = input.period || 'yearly'
+  if (!isSupportedPeriod(period)) {
+    return {
+      error: `Pay period must be one of ${Object.keys(periodsPerYear).join(', ')}`,
+    }
+  }
+
+  return {
+    compensation: {
+      min,
+      max,
+      currency,
+      period,
+      equity: input.equity === true || input.equity === 'true',
+    },
+  }
+}
+
+module.exports = {
+  baseCurrency,
+  toAnnual,
+  toBaseCurrency,
+  isSupportedCurrency,
+  validateCompensation,
+}
@@ -0,0 +1,184 @@
+const Application = require('../../models/Application')
+const notifyUser = require('../main/notifyUser')
+
+const minuteInMs = 60 * 1000
+const maxSlots = 10
+
+// Reminders go out this long before a scheduled interview
+const reminderLeads = [
+  { key: '24h', ms: 24 * 60 * minuteInMs, label: 'tomorrow' },
+  { key: '1h', ms: 60 * minuteInMs, label: 'in an hour' },
+]
+
+// Validates proposed slots from a request body.
+// Returns { error } or { slots } sorted by start time.
+const validateInterviewSlots = (value) => {
+  if (!Array.isArray(value) || !value.length) {
+    return { error: 'Propose at least one interview slot' }
+  }
+  if (value.length > maxSlots) {
+    return { error: `You can propose up to ${maxSlots} slots` }
+  }
+
+  const slots = []
+  for (const slot of value) {
+    const startsAt = new Date(slot && slot.startsAt)
+    const endsAt = new Date(slot && slot.endsAt)
+    if (Number.isNaN(startsAt.getTime()) || Number.isNaN(endsAt.getTime())) {
+      return { error: 'Every slot needs a valid startsAt and endsAt' }
+    }
+    if (startsAt <= new Date()) {
+      return { error: 'Interview slots must be in the future' }
+    }
+    if (endsAt <= startsAt) {
+      return { error: 'An interview slot must end after it starts' }
+    }
+    slots.push({ startsAt, endsAt })
+  }
+
+  return { slots: slots.sort((a, b) => a.startsAt - b.startsAt) }
+}
+
+// iCalendar text values escape backslashes, separators and newlines
+const escapeText = (value) =>
+  String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+
+// 20250101T093000Z
+const formatDate = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, '')
+    .replace(/\.\d{3}/, '')
+
+// Lines longer than 75 octets of UTF-8 continue on the next line after a
+// space. Lines are cut between characters, never inside one.
+const maxLineOctets = 75
+
+const foldLine = (line) => {
+  const parts = ['']
+  let octets = 0
+  for (const char of line) {
+    const size = Buffer.byteLength(char)
+    if (octets + size > maxLineOctets) {
+      parts.push(' ')
+      octets = 1
+    }
+    parts[parts.length - 1] += char
+    octets += size
+  }
+  return parts.join('\r\n')
+}
+
+const fullName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username
+
+// Parameter values are quoted and cannot contain quotes themselves. People
+// whose account no longer exists, or has no email, are left out.
+const person = (role, user) =>
+  user && user.email
+    ? `${role};CN="${fullName(user).replace(/"/g, '')}":mailto:${user.email}`
+    : null
+
+// Calendar invite for a scheduled interview. Whoever proposed the slots is
+// the organizer and the applicant the attendee, so both get the same event.
+const buildInterviewInvite = ({ application, job, organizer, applicant }) => {
+  const { interview } = application
+  const description = [
+    `Interview for ${job.position} at ${job.company}.`,
+    interview.notes,
+  ]
+    .filter(Boolean)
+    .join('\n\n')
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Social Media Platform//Job Interviews//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:REQUEST',
+    'BEGIN:VEVENT',
+    `UID:interview-${application._id}@social-media-platform`,
+    `SEQUENCE:${interview.sequence}`,
+    `DTSTAMP:${formatDate(interview.acceptedAt || new Date())}`,
+    `DTSTART:${formatDate(interview.startsAt)}`,
+    `DTEND:${formatDate(interview.endsAt)}`,
+    `SUMMARY:${escapeText(`Interview: ${job.position} at ${job.company}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    interview.location && `LOCATION:${escapeText(interview.location)}`,
+    person('ORGANIZER', organizer),
+    person('ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED', applicant),
+    'STATUS:CONFIRMED',
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:Interview reminder',
+    'TRIGGER:-PT1H',
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ]
+
+  return lines.filter(Boolean).map(foldLine).join('\r\n') + '\r\n'
+}
+
+// Scheduled task: reminds both sides of upcoming interviews. Only the
+// closest lead time is sent, so an interview accepted an hour before it
+// starts gets one reminder rather than two.
+const sendInterviewReminders = async () => {
+  const now = Date.now()
+  const maxLead = Math.max(...reminderLeads.map((lead) => lead.ms))
+
+  const applications = await Application.find({
+    'interview.status': 'scheduled',
+    'interview.startsAt': { $gt: new Date(now), $lte: new Date(now + maxLead) },
+    stage: { $nin: ['rejected', 'withdrawn'] },
+  }).populate('job', 'position company')
+
+  for (const application of applications) {
+    const { interview, job } = application
+    if (!job) continue
+
+    const timeLeft = interview.startsAt.getTime() - now
+    const due = reminderLeads.filter(
+      (lead) =>
+        timeLeft <= lead.ms && !interview.remindersSent.includes(lead.key),
+    )
+    if (!due.length) continue
+
+    const closest = due[due.length - 1]
+    const message = `Your interview for ${job.position} at ${job.company} starts ${closest.label}`
+    const metadata = {
+      jobId: job._id,
+      applicationId: application._id,
+      startsAt: interview.startsAt,
+    }
+
+    for (const recipient of [application.applicant, interview.proposedBy]) {
+      await notifyUser({
+        recipient,
+        type: 'job',
+        title: 'Interview reminder',
+        message,
+        metadata,
+      })
+    }
+
+    await Application.updateOne(
+      { _id: application._id },
+      {
+        $addToSet: {
+          'interview.remindersSent': { $each: due.map((lead) => lead.key) },
+        },
+      },
+    )
+  }
+}
+
+module.exports = {
+  validateInterviewSlots,
+  buildInterviewInvite,
+  sendInterviewReminders,
+}
@@ -0,0 +1,173 @@
+const Job = require('../../models/Job')
+const SavedSearch = require('../../models/SavedSearch')
+const notifyUser = require('../main/notifyUser')
+const { publicJobFilter, toList } = require('./jobQuery')
+
+const dayInMs = 24 * 60 * 60 * 1000
+
+// Validates the criteria of a saved search against the Job enums.
+// Returns { error } or { criteria } ready to be stored.
+const validateSearchCriteria = (input = {}) => {
+  const criteria = {
+    keywords: typeof input.keywords === 'string' ? input.keywords.trim() : '',
+  }
+
+  for (const field of ['category', 'type', 'location']) {
+    const values = toList(input[field])
+    const allowed = Job.schema.path(field).enumValues
+    if (values.some((value) => !allowed.includes(value))) {
+      return { error: `Invalid job ${field}` }
+    }
+    criteria[field] = values
+  }
+
+  if (input.minSalary !== undefined && input.minSalary !== null) {
+    const minSalary = Number(input.minSalary)
+    if (!Number.isFinite(minSalary) || minSalary < 0) {
+      return { error: 'Invalid minimum salary' }
+    }
+    criteria.minSalary = minSalary
+  } else {
+    criteria.minSalary = null
+  }
+
+  return { criteria }
+}
+
+// Every keyword has to appear in the position, company or description
+const matchesKeywords = (keywords, job) => {
+  const words = keywords.toLowerCase().split(/\s+/).filter(Boolean)
+  const text = `${job.position} ${job.company} ${job.description}`.toLowerCase()
+  return words.every((word) => text.includes(word))
+}
+
+// Finds the active saved searches a freshly published job matches
+const findMatchingSearches = async (job, poster) => {
+  const anyOf = (field, value) => ({
+    $or: [
+      { [`criteria.${field}`]: { $size: 0 } },
+      { [`criteria.${field}`]: value },
+    ],
+  })
+
+  const searches = await SavedSearch.find({
+    isActive: true,
+    // The poster does not need alerts for their own job, and users the
+    // poster blocked cannot see it
+    user: { $nin: [poster._id, ...(poster.blockedUsers || [])] },
+    $and: [
+      anyOf('category', job.category),
+      anyOf('type', job.type),
+      anyOf('location', job.location),
+      {
+        $or: [
+          { 'criteria.minSalary': null },
+          {
+            'criteria.minSalary': {
+              $lte: (job.compensation && job.compensation.annualMax) || 0,
+            },
+          },
+        ],
+      },
+    ],
+  })
+
+  return searches.filter(
+    (search) =>
+      !search.criteria.keywords ||
+      matchesKeywords(search.criteria.keywords, job),
+  )
+}
+
+// Called when a job is published: instant searches are notified right away,
+// daily searches queue the job for the next digest.
+const notifyMatchingSearches = async (job, poster) => {
+  const searches = await findMatchingSearches(job, poster)
+
+  for (const search of searches) {
+    if (search.frequency === 'daily') {
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $addToSet: { pendingJobs: job._id } },
+      )
+      continue
+    }
+
+    await notifyUser({
+      recipient: search.user,
+      type: 'job',
+      title: `New job for "${search.name}"`,
+      message: `${job.position} at ${job.company}`,
+      metadata: { jobId: job._id, savedSearchId: search._id },
+    })
+  }
+}
+
+// Sends the alerts the first time a job is both published and approved.
+// The update claims the job so alerts never go out twice.
+const alertIfNewlyPublic = async (job, poster) => {
+  if (job.status !== 'published' || job.moderationStatus !== 'accepted') {
+    return
+  }
+
+  const claimed = await Job.updateOne(
+    { _id: job._id, alertsSentAt: null },
+    { $set: { alertsSentAt: new Date() } },
+  )
+  if (!claimed.modifiedCount) return
+
+  await notifyMatchingSearches(job, poster)
+}
+
+// Sends one digest per daily search that has pending jobs and has not had a
+// digest in the last 24 hours
+const sendDailyDigests = async () => {
+  const searches = await SavedSearch.find({
+    isActive: true,
+    frequency: 'daily',
+    'pendingJobs.0': { $exists: true },
+    $or: [
+      { lastDigestAt: null },
+      { lastDigestAt: { $lte: new Date(Date.now() - dayInMs) } },
+    ],
+  })
+
+  for (const search of searches) {
+    // Jobs deleted, closed or rejected since they were queued are left out
+    const jobs = await Job.find({
+      _id: { $in: search.pendingJobs },
+      ...publicJobFilter,
+    }).select('position company')
+    if (jobs.length) {
+      const [first] = jobs
+      const count = jobs.length
+      const others = count > 1 ? ` and ${count - 1} more` : ''
+      await notifyUser({
+        recipient: search.user,
+        type: 'job',
+        title: `${count} new job${count > 1 ? 's' : ''} for "${search.name}"`,
+        message: `${first.position} at ${first.company}${others}`,
+        metadata: {
+          jobIds: jobs.map((job) => job._id),
+          savedSearchId: search._id,
+        },
+      })
+    }
+
+    // Only clear what was sent, jobs queued meanwhile wait for the next run
+    await SavedSearch.updateOne(
+      { _id: search._id },
+      {
+        $pull: { pendingJobs: { $in: search.pendingJobs } },
+        $set: { lastDigestAt: new Date() },
+      },
+    )
+  }
+}
+
+module.exports = {
+  validateSearchCriteria,
+  notifyMatchingSearches,
+  alertIfNewlyPublic,
+  sendDailyDigests,
+}
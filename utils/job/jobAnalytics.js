@@ -0,0 +1,236 @@
+const User = require('../../models/User')
+const JobView = require('../../models/JobView')
+const Application = require('../../models/Application')
+const Referral = require('../../models/Referral')
+
+const dayInMs = 24 * 60 * 60 * 1000
+const funnelStages = ['applied', 'screening', 'interview', 'offer']
+
+// Reads `from`, `to` and `interval` from the query string.
+// Defaults to the last 30 days bucketed by day.
+const parseAnalyticsRange = ({ from, to, interval = 'day' }) => {
+  const end = to ? new Date(to) : new Date()
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * dayInMs)
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { error: 'Invalid date range' }
+  }
+  if (start > end) {
+    return { error: '`from` must be before `to`' }
+  }
+  if (!['day', 'week'].includes(interval)) {
+    return { error: 'Interval must be day or week' }
+  }
+
+  return { range: { from: start, to: end, interval } }
+}
+
+const bucket = (interval) => ({
+  $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday' },
+})
+
+const rate = (part, total) =>
+  total ? Math.round((part / total) * 10000) / 100 : 0
+
+// Views, saves, applications and the stage funnel for a set of jobs.
+// `byJob` adds the same totals for every job in the set.
+const getJobsAnalytics = async (jobIds, { from, to, interval }, byJob) => {
+  const inRange = { job: { $in: jobIds }, createdAt: { $gte: from, $lte: to } }
+
+  const [views, applications, saves, funnel, referrals] = await Promise.all([
+    JobView.aggregate([
+      { $match: inRange },
+      {
+        $facet: {
+          series: [{ $group: { _id: bucket(interval), count: { $sum: 1 } } }],
+          perJob: [
+            {
+              $group: {
+                _id: '$job',
+                views: { $sum: 1 },
+                viewers: { $addToSet: '$viewer' },
+              },
+            },
+            {
+              $project: { views: 1, uniqueViewers: { $size: '$viewers' } },
+            },
+          ],
+          uniqueViewers: [{ $group: { _id: '$viewer' } }, { $count: 'count' }],
+        },
+      },
+    ]),
+    // Applicants do not have to open the job page first, so only those who
+    // viewed it in the range before applying count towards the conversion
+    Application.aggregate([
+      { $match: inRange },
+      {
+        $lookup: {
+          from: JobView.collection.name,
+          let: {
+            job: '$job',
+            applicant: '$applicant',
+            appliedAt: '$createdAt',
+          },
+          pipeline: [
+            {
+              $match: {
+                $expr: {
+                  $and: [
+                    { $eq: ['$job', '$$job'] },
+                    { $eq: ['$viewer', '$$applicant'] },
+                    { $gte: ['$createdAt', from] },
+                    { $lte: ['$createdAt', '$$appliedAt'] },
+                  ],
+                },
+              },
+            },
+            { $limit: 1 },
+          ],
+          as: 'viewsBefore',
+        },
+      },
+      {
+        $facet: {
+          series: [{ $group: { _id: bucket(interval), count: { $sum: 1 } } }],
+          perJob: [
+            {
+              $group: {
+                _id: '$job',
+                count: { $sum: 1 },
+                fromViewers: {
+                  $sum: {
+                    $cond: [{ $gt: [{ $size: '$viewsBefore' }, 0] }, 1, 0],
+                  },
+                },
+              },
+            },
+          ],
+        },
+      },
+    ]),
+    // Saved jobs carry no timestamp, so saves are all-time totals
+    User.aggregate([
+      { $match: { savedJobs: { $in: jobIds } } },
+      { $unwind: '$savedJobs' },
+      { $match: { savedJobs: { $in: jobIds } } },
+      { $group: { _id: '$savedJobs', count: { $sum: 1 } } },
+    ]),
+    // Every stage an application has been through counts towards the funnel
+    Application.aggregate([
+      { $match: inRange },
+      {
+        $project: {
+          reached: { $setUnion: ['$stageHistory.to', ['$stage']] },
+        },
+      },
+      { $unwind: '$reached' },
+      { $group: { _id: '$reached', count: { $sum: 1 } } },
+    ]),
+    // Referrals made in the range and how many of them led to an application
+    Referral.aggregate([
+      { $match: inRange },
+      {
+        $group: {
+          _id: '$job',
+          count: { $sum: 1 },
+          applied: { $sum: { $cond: [{ $ne: ['$application', null] }, 1, 0] } },
+        },
+      },
+    ]),
+  ])
+
+  const [viewStats] = views
+  const [applicationStats] = applications
+  const countOf = (list, id) =>
+    (list.find((item) => item._id.toString() === id.toString()) || {}).count ||
+    0
+
+  // Merge both series into one entry per bucket
+  const series = new Map()
+  for (const { _id, count } of viewStats.series) {
+    series.set(_id.getTime(), { date: _id, views: count, applications: 0 })
+  }
+  for (const { _id, count } of applicationStats.series) {
+    const entry = series.get(_id.getTime()) || {
+      date: _id,
+      views: 0,
+      applications: 0,
+    }
+    entry.applications = count
+    series.set(_id.getTime(), entry)
+  }
+
+  const totalViews = viewStats.perJob.reduce((sum, job) => sum + job.views, 0)
+  const uniqueViewers = viewStats.uniqueViewers.length
+    ? viewStats.uniqueViewers[0].count
+    : 0
+  const totalApplications = applicationStats.perJob.reduce(
+    (sum, job) => sum + job.count,
+    0,
+  )
+  const applicationsFromViewers = applicationStats.perJob.reduce(
+    (sum, job) => sum + job.fromViewers,
+    0,
+  )
+  // A viewer of two jobs can apply to both, so the conversion is measured
+  // per job and viewer
+  const jobViewers = viewStats.perJob.reduce(
+    (sum, job) => sum + job.uniqueViewers,
+    0,
+  )
+
+  const result = {
+    range: { from, to, interval },
+    totals: {
+      views: totalViews,
+      uniqueViewers,
+      saves: saves.reduce((sum, job) => sum + job.count, 0),
+      applications: totalApplications,
+      applicationsFromViewers,
+      // Share of viewers who went on to apply, in percent
+      conversionRate: rate(applicationsFromViewers, jobViewers),
+      referrals: referrals.reduce((sum, job) => sum + job.count, 0),
+      referredApplications: referrals.reduce(
+        (sum, job) => sum + job.applied,
+        0,
+      ),
+    },
+    series: [...series.values()].sort((a, b) => a.date - b.date),
+    funnel: [...funnelStages, 'rejected', 'withdrawn'].map((stage) => ({
+      stage,
+      count: countOf(funnel, stage),
+    })),
+  }
+
+  if (byJob) {
+    result.jobs = jobIds.map((jobId) => {
+      const jobViews = viewStats.perJob.find(
+        (item) => item._id.toString() === jobId.toString(),
+      ) || { views: 0, uniqueViewers: 0 }
+      const jobApplications = applicationStats.perJob.find(
+        (item) => item._id.toString() === jobId.toString(),
+      ) || { count: 0, fromViewers: 0 }
+      const jobReferrals = referrals.find(
+        (item) => item._id.toString() === jobId.toString(),
+      ) || { count: 0, applied: 0 }
+      return {
+        jobId,
+        views: jobViews.views,
+        uniqueViewers: jobViews.uniqueViewers,
+        saves: countOf(saves, jobId),
+        applications: jobApplications.count,
+        applicationsFromViewers: jobApplications.fromViewers,
+        conversionRate: rate(
+          jobApplications.fromViewers,
+          jobViews.uniqueViewers,
+        ),
+        referrals: jobReferrals.count,
+        referredApplications: jobReferrals.applied,
+      }
+    })
+  }
+
+  return result
+}
+
+module.exports = { parseAnalyticsRange, getJobsAnalytics }
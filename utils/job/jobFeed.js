@@ -0,0 +1,203 @@
+const crypto = require('crypto')
+const Job = require('../../models/Job')
+
+const feedTitle = 'Project H jobs'
+const feedDescription = 'Open positions posted on Project H'
+
+const contentTypes = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+}
+
+// GUIDs do not depend on the host serving the feed, so readers do not see
+// the same job twice when it is read through another domain
+const jobGuid = (job) => `urn:project-h:job:${job._id}`
+
+// Links point at the web app when PUBLIC_WEB_URL is set, otherwise at the API
+const jobLink = (baseUrl, job) =>
+  process.env.PUBLIC_WEB_URL
+    ? `${process.env.PUBLIC_WEB_URL.replace(/\/+$/, '')}/jobs/${job._id}`
+    : `${baseUrl}/api/jobs/${job._id}`
+
+// Characters XML 1.0 does not allow, even escaped
+const invalidXmlChars =
+  /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu
+
+const escapeXml = (value) =>
+  String(value == null ? '' : value)
+    .replace(invalidXmlChars, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+const publishedAt = (job) => job.publishedAt || job.createdAt
+
+// When the feed last changed. `scope` is the feed's filter without the
+// status and deadline conditions, so a job that leaves the feed, closed,
+// expired or rejected, still counts through its `updatedAt`. A deadline
+// that passed before the sweeper expired the job counts too. Null when no
+// job was ever in scope.
+const lastModified = async (scope, now) => {
+  const [updated, pastDeadline] = await Promise.all([
+    Job.findOne(scope).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+    Job.findOne({
+      ...scope,
+      status: 'published',
+      applicationDeadline: { $lte: now },
+    })
+      .sort({ applicationDeadline: -1 })
+      .select('applicationDeadline')
+      .lean(),
+  ])
+  if (!updated) return null
+  return new Date(
+    Math.max(
+      new Date(updated.updatedAt).getTime(),
+      pastDeadline ? new Date(pastDeadline.applicationDeadline).getTime() : 0,
+    ),
+  )
+}
+
+// Changes whenever the format, the filters, the feed's last change or the
+// jobs listed change
+const feedEtag = (format, selfUrl, updated, jobs) => {
+  const hash = crypto
+    .createHash('sha1')
+    .update(`${format} ${selfUrl} ${updated ? updated.getTime() : 0}`)
+  for (const job of jobs) {
+    hash.update(` ${job._id}:${new Date(job.updatedAt).getTime()}`)
+  }
+  return `"${hash.digest('hex')}"`
+}
+
+const jobTitle = (job) => `${job.position} at ${job.company}`
+
+const jobTags = (job) => [job.category, job.type, job.location]
+
+// Short plain text summary shown by readers before the full description
+const jobSummary = (job) => {
+  const lines = [
+    `${job.company} | ${job.type} | ${job.location} | ${job.category}`,
+  ]
+  const pay = job.compensation
+  if (pay) {
+    const range = pay.min === pay.max ? `${pay.min}` : `${pay.min}-${pay.max}`
+    lines.push(`Pay: ${range} ${pay.currency} ${pay.period}`)
+  }
+  if (job.applicationDeadline) {
+    lines.push(`Apply by ${new Date(job.applicationDeadline).toISOString()}`)
+  }
+  lines.push('', job.description)
+  return lines.join('\n')
+}
+
+const renderRss = ({ jobs, baseUrl, selfUrl, updated }) => {
+  const items = jobs.map((job) =>
+    [
+      '    <item>',
+      `      <title>${escapeXml(jobTitle(job))}</title>`,
+      `      <link>${escapeXml(jobLink(baseUrl, job))}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(jobGuid(job))}</guid>`,
+      `      <description>${escapeXml(jobSummary(job))}</description>`,
+      ...jobTags(job).map(
+        (tag) => `      <category>${escapeXml(tag)}</category>`,
+      ),
+      `      <pubDate>${new Date(publishedAt(job)).toUTCString()}</pubDate>`,
+      `      <atom:updated>${new Date(job.updatedAt).toISOString()}</atom:updated>`,
+      '    </item>',
+    ].join('\n'),
+  )
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feedTitle)}</title>`,
+    `    <link>${escapeXml(baseUrl)}</link>`,
+    `    <description>${escapeXml(feedDescription)}</description>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n')
+}
+
+const renderAtom = ({ jobs, baseUrl, selfUrl, updated }) => {
+  const entries = jobs.map((job) =>
+    [
+      '  <entry>',
+      `    <id>${escapeXml(jobGuid(job))}</id>`,
+      `    <title>${escapeXml(jobTitle(job))}</title>`,
+      `    <link rel="alternate" href="${escapeXml(jobLink(baseUrl, job))}"/>`,
+      `    <published>${new Date(publishedAt(job)).toISOString()}</published>`,
+      `    <updated>${new Date(job.updatedAt).toISOString()}</updated>`,
+      `    <author><name>${escapeXml(job.company)}</name></author>`,
+      ...jobTags(job).map((tag) => `    <category term="${escapeXml(tag)}"/>`),
+      `    <content type="text">${escapeXml(jobSummary(job))}</content>`,
+      '  </entry>',
+    ].join('\n'),
+  )
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <title>${escapeXml(feedTitle)}</title>`,
+    `  <subtitle>${escapeXml(feedDescription)}</subtitle>`,
+    `  <link rel="self" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(baseUrl)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n')
+}
+
+// JSON Feed 1.1. Job details that have no standard field go in `_job`.
+const renderJson = ({ jobs, baseUrl, selfUrl }) =>
+  JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feedTitle,
+    description: feedDescription,
+    home_page_url: baseUrl,
+    feed_url: selfUrl,
+    items: jobs.map((job) => ({
+      id: jobGuid(job),
+      url: jobLink(baseUrl, job),
+      title: jobTitle(job),
+      content_text: jobSummary(job),
+      date_published: new Date(publishedAt(job)).toISOString(),
+      date_modified: new Date(job.updatedAt).toISOString(),
+      authors: [{ name: job.company }],
+      tags: jobTags(job),
+      _job: {
+        company: job.company,
+        position: job.position,
+        type: job.type,
+        location: job.location,
+        category: job.category,
+        duration: job.duration,
+        compensation: job.compensation || null,
+        applicationDeadline: job.applicationDeadline || null,
+      },
+    })),
+  })
+
+const renderers = { rss: renderRss, atom: renderAtom, json: renderJson }
+
+// Renders jobs in one of the supported formats. `updated` is the feed's
+// last change, or null for a feed that never had jobs.
+const renderJobFeed = (format, options) =>
+  renderers[format]({ ...options, updated: options.updated || new Date() })
+
+module.exports = {
+  contentTypes,
+  lastModified,
+  feedEtag,
+  renderJobFeed,
+}
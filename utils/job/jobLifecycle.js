@@ -0,0 +1,181 @@
+const Job = require('../../models/Job')
+const Application = require('../../models/Application')
+const notifyUsers = require('../main/notifyUsers')
+
+// Status changes a poster can make through PATCH /jobs/:id/status.
+// 'expired' is only ever set by the sweeper.
+const statusTransitions = {
+  draft: ['published'],
+  published: ['paused', 'closed'],
+  paused: ['published', 'closed'],
+  closed: ['published'],
+  expired: ['published'],
+}
+
+// Validates `applicationDeadline` and `maxApplicants` from a request body.
+// Returns { error } or { fields } with only the values that were sent.
+const validateLifecycleFields = ({ applicationDeadline, maxApplicants }) => {
+  const fields = {}
+
+  if (applicationDeadline !== undefined) {
+    if (applicationDeadline === null || applicationDeadline === '') {
+      fields.applicationDeadline = null
+    } else {
+      const deadline = new Date(applicationDeadline)
+      if (Number.isNaN(deadline.getTime())) {
+        return { error: 'Invalid application deadline' }
+      }
+      if (deadline <= new Date()) {
+        return { error: 'Application deadline must be in the future' }
+      }
+      fields.applicationDeadline = deadline
+    }
+  }
+
+  if (maxApplicants !== undefined) {
+    if (maxApplicants === null || maxApplicants === '') {
+      fields.maxApplicants = null
+    } else {
+      const max = Number(maxApplicants)
+      if (!Number.isInteger(max) || max < 1) {
+        return { error: 'Maximum applicants must be a positive whole number' }
+      }
+      fields.maxApplicants = max
+    }
+  }
+
+  return { fields }
+}
+
+// Withdrawn applications do not count towards `maxApplicants`
+const countActiveApplications = (jobId) =>
+  Application.countDocuments({ job: jobId, stage: { $ne: 'withdrawn' } })
+
+// Takes a place among the job's active applicants. The update only matches
+// while the job has room, so two applicants cannot take the last place.
+// Returns the new number of active applicants, or null when the job is full.
+const claimApplicantPlace = async (job) => {
+  const updated = await Job.findOneAndUpdate(
+    {
+      _id: job._id,
+      $or: [
+        { maxApplicants: null },
+        { $expr: { $lt: ['$activeApplicants', '$maxApplicants'] } },
+      ],
+    },
+    { $inc: { activeApplicants: 1 } },
+    { new: true, projection: { activeApplicants: 1 } },
+  ).lean()
+  return updated ? updated.activeApplicants : null
+}
+
+// Gives a place back after a withdrawal or a failed application
+const releaseApplicantPlace = (jobId) =>
+  Job.updateOne(
+    { _id: jobId, activeApplicants: { $gt: 0 } },
+    { $inc: { activeApplicants: -1 } },
+  )
+
+// Returns why a job cannot take applications right now, or null
+const getApplicationBlocker = async (job) => {
+  if (job.status !== 'published' || job.moderationStatus !== 'accepted') {
+    return 'This job is not accepting applications'
+  }
+  if (job.applicationDeadline && job.applicationDeadline <= new Date()) {
+    return 'The application deadline for this job has passed'
+  }
+  if (job.maxApplicants) {
+    const count = await countActiveApplications(job._id)
+    if (count >= job.maxApplicants) {
+      return 'This job has reached its maximum number of applicants'
+    }
+  }
+  return null
+}
+
+const closeMessages = {
+  manual: 'was closed by the poster',
+  deadline: 'has passed its application deadline',
+  'max-applicants': 'has reached its maximum number of applicants',
+}
+
+// Tells the active applicants of a job that it closed, in one batch
+const notifyClosedJob = async (job, status, reason) => {
+  const applicants = await Application.find({
+    job: job._id,
+    stage: { $nin: ['rejected', 'withdrawn'] },
+  }).distinct('applicant')
+  if (!applicants.length) return
+
+  await notifyUsers({
+    recipients: applicants,
+    sender: job.postedBy._id || job.postedBy,
+    type: 'job',
+    title: 'Job closed',
+    message: `${job.position} at ${job.company} ${closeMessages[reason]}`,
+    metadata: { jobId: job._id, status, reason },
+  })
+}
+
+// Closes or expires a job. Its active applicants are notified in the
+// background, so closing a job with many applicants returns right away.
+const closeJob = async (job, status, reason) => {
+  job.status = status
+  job.closedAt = new Date()
+  job.closedReason = reason
+  await job.save()
+
+  notifyClosedJob(job, status, reason).catch((error) =>
+    console.error('Error notifying applicants of a closed job:', error),
+  )
+
+  return job
+}
+
+// Scheduled task: expires jobs past their deadline and closes jobs that
+// filled up
+const sweepJobs = async () => {
+  const expired = await Job.find({
+    status: { $in: ['published', 'paused'] },
+    applicationDeadline: { $ne: null, $lte: new Date() },
+  })
+  for (const job of expired) {
+    await closeJob(job, 'expired', 'deadline')
+  }
+
+  const limited = await Job.find({
+    status: 'published',
+    maxApplicants: { $ne: null },
+  })
+  if (!limited.length) return
+
+  // Active applications of all those jobs, counted in one query
+  const counts = await Application.aggregate([
+    {
+      $match: {
+        job: { $in: limited.map((job) => job._id) },
+        stage: { $ne: 'withdrawn' },
+      },
+    },
+    { $group: { _id: '$job', count: { $sum: 1 } } },
+  ])
+  const countByJob = new Map(
+    counts.map(({ _id, count }) => [_id.toString(), count]),
+  )
+  for (const job of limited) {
+    if ((countByJob.get(job._id.toString()) || 0) >= job.maxApplicants) {
+      await closeJob(job, 'closed', 'max-applicants')
+    }
+  }
+}
+
+module.exports = {
+  statusTransitions,
+  validateLifecycleFields,
+  countActiveApplications,
+  claimApplicantPlace,
+  releaseApplicantPlace,
+  getApplicationBlocker,
+  closeJob,
+  sweepJobs,
+}
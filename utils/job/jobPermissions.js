@@ -0,0 +1,44 @@
+const mongoose = require('mongoose')
+const Company = require('../../models/Company')
+
+// The poster and the admins of the job's company, once it is verified, can
+// review its applicants
+const canManageApplicants = async (job, userId) => {
+  const posterId = job.postedBy._id || job.postedBy
+  if (posterId.toString() === userId.toString()) return true
+  if (!job.companyId) return false
+  return Boolean(
+    await Company.exists({
+      _id: job.companyId,
+      admins: userId,
+      verificationStatus: 'verified',
+    }),
+  )
+}
+
+// Company a user wants to post a job for. Only admins of a verified company
+// can post on behalf of it. Returns { company } or { status, error }.
+const getPostingCompany = async (companyId, userId) => {
+  if (!mongoose.isValidObjectId(companyId)) {
+    return { status: 400, error: 'Invalid company' }
+  }
+  const company = await Company.findById(companyId)
+  if (!company) {
+    return { status: 404, error: 'Company not found' }
+  }
+  if (!company.isAdmin(userId)) {
+    return {
+      status: 403,
+      error: 'Only company admins can post jobs for this company',
+    }
+  }
+  if (!company.isVerifiedAdmin(userId)) {
+    return {
+      status: 403,
+      error: 'This company has not been verified yet',
+    }
+  }
+  return { company }
+}
+
+module.exports = { canManageApplicants, getPostingCompany }
@@ -0,0 +1,19 @@
+const User = require('../../models/User')
+
+// Jobs anyone can see in listings: published and approved by a moderator
+const publicJobFilter = { status: 'published', moderationStatus: 'accepted' }
+
+// Posters whose `blockedUsers` contains the viewer. Their jobs are excluded
+// in the query itself so pagination counts stay correct.
+const getBlockedPosterIds = (userId) =>
+  User.find({ blockedUsers: userId }).distinct('_id')
+
+// Accepts `?type=a,b` as well as `?type=a&type=b`
+const toList = (value) =>
+  []
+    .concat(value || [])
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+module.exports = { publicJobFilter, getBlockedPosterIds, toList }
@@ -0,0 +1,161 @@
+const Job = require('../../models/Job')
+const Application = require('../../models/Application')
+const { publicJobFilter, getBlockedPosterIds } = require('./jobQuery')
+const { computeSkillMatch } = require('./skills')
+
+const dayInMs = 24 * 60 * 60 * 1000
+
+// How much each signal adds to a job's score
+const weights = {
+  preferredCategory: 3,
+  followedPoster: 4,
+  similarCategory: 2,
+  similarType: 1,
+  similarLocation: 1,
+  interest: 1.5,
+  skills: 6,
+  recency: 3,
+}
+
+// User preferences are post categories, jobs use a shorter list
+const preferenceCategories = {
+  Technology: 'Technology',
+  'Programming & Development': 'Technology',
+  'Data Science & AI': 'Technology',
+  'Mathematics & Logic': 'Technology',
+  Engineering: 'Technology',
+  'Finance & Investing': 'Finance',
+  'Entrepreneurship & Business': 'Finance',
+  'Science & Research': 'Education',
+  'Books & Literature': 'Education',
+  'History & Philosophy': 'Education',
+  'Career & Personal Development': 'Education',
+  'Health & Wellness': 'Healthcare',
+  'Psychology & Mindset': 'Healthcare',
+}
+
+// Only the most recent open jobs are ranked
+const candidateWindowDays = 90
+const maxCandidates = 500
+
+const countValues = (jobs, field) => {
+  const counts = {}
+  for (const job of jobs) {
+    counts[job[field]] = (counts[job[field]] || 0) + 1
+  }
+  return counts
+}
+
+// Scores every candidate job for the user and explains the score
+const scoreJob = (job, profile) => {
+  let score = 0
+  const reasons = []
+
+  if (profile.categories.has(job.category)) {
+    score += weights.preferredCategory
+    reasons.push(`In ${job.category}, which matches your preferences`)
+  }
+
+  if (profile.following.has(job.postedBy.toString())) {
+    score += weights.followedPoster
+    reasons.push('Posted by someone you follow')
+  }
+
+  // Affinity with jobs the user applied for or saved
+  const { history } = profile
+  if (history.total) {
+    const category = (history.category[job.category] || 0) / history.total
+    const type = (history.type[job.type] || 0) / history.total
+    const location = (history.location[job.location] || 0) / history.total
+    score +=
+      category * weights.similarCategory +
+      type * weights.similarType +
+      location * weights.similarLocation
+    if (category >= 0.5 || type >= 0.5) {
+      reasons.push('Similar to jobs you applied for or saved')
+    }
+  }
+
+  // Scaled by the share of the job's skills the user declared
+  const skillScore = computeSkillMatch(job, profile.skills).score
+  if (skillScore) {
+    score += (skillScore / 100) * weights.skills
+    reasons.push(`You have ${skillScore}% of the skills it asks for`)
+  }
+
+  const text = `${job.position} ${job.description} ${job.minReq}`.toLowerCase()
+  const matchedInterests = profile.interests.filter((interest) =>
+    text.includes(interest),
+  )
+  if (matchedInterests.length) {
+    score += matchedInterests.length * weights.interest
+    reasons.push(`Mentions your interests: ${matchedInterests.join(', ')}`)
+  }
+
+  // Newer jobs rank higher, a week-old job gets half the recency boost
+  const ageInDays = (Date.now() - new Date(job.createdAt).getTime()) / dayInMs
+  const recency = 1 / (1 + ageInDays / 7)
+  score += recency * weights.recency
+  if (ageInDays <= 3) {
+    reasons.push('Posted recently')
+  }
+
+  return { score: Math.round(score * 100) / 100, reasons }
+}
+
+// Ranks open jobs for a user. Jobs the user applied for, their own jobs and
+// jobs of posters who blocked them are left out.
+const getRecommendedJobs = async (user, { page, limit }) => {
+  const appliedJobIds = await Application.find({
+    applicant: user._id,
+  }).distinct('job')
+
+  const historyJobs = await Job.find({
+    _id: { $in: [...appliedJobIds, ...user.savedJobs] },
+  })
+    .select('category type location')
+    .lean()
+
+  const profile = {
+    categories: new Set(
+      (user.preferences || [])
+        .map((preference) => preferenceCategories[preference])
+        .filter(Boolean),
+    ),
+    following: new Set((user.following || []).map((id) => id.toString())),
+    skills: user.skills || [],
+    interests: (user.interests || [])
+      .map((interest) => interest.trim().toLowerCase())
+      .filter(Boolean),
+    history: {
+      total: historyJobs.length,
+      category: countValues(historyJobs, 'category'),
+      type: countValues(historyJobs, 'type'),
+      location: countValues(historyJobs, 'location'),
+    },
+  }
+
+  const blockedPosters = await getBlockedPosterIds(user._id)
+  const candidates = await Job.find({
+    ...publicJobFilter,
+    _id: { $nin: appliedJobIds },
+    postedBy: { $nin: [user._id, ...blockedPosters] },
+    createdAt: { $gte: new Date(Date.now() - candidateWindowDays * dayInMs) },
+  })
+    .sort({ createdAt: -1 })
+    .limit(maxCandidates)
+    .select('-screeningQuestions.knockout -flags')
+    .lean()
+
+  const ranked = candidates
+    .map((job) => ({ job, ...scoreJob(job, profile) }))
+    .sort((a, b) => b.score - a.score)
+
+  const skip = (page - 1) * limit
+  return {
+    data: ranked.slice(skip, skip + limit),
+    total: ranked.length,
+  }
+}
+
+module.exports = { getRecommendedJobs }
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose')
+const Referral = require('../../models/Referral')
+const User = require('../../models/User')
+const notifyUser = require('../main/notifyUser')
+
+const stageMessages = {
+  applied: 'applied for',
+  screening: 'is being screened for',
+  interview: 'was invited to interview for',
+  offer: 'received an offer for',
+  rejected: 'was not selected for',
+  withdrawn: 'withdrew their application for',
+}
+
+// Links a new application to the referral the candidate applied through.
+// Without a `referralId` the earliest referral for the job is used.
+const findReferralForApplication = (job, candidate, referralId) => {
+  if (referralId && !mongoose.isValidObjectId(referralId)) return null
+  const filter = { job: job._id, candidate, application: null }
+  if (referralId) filter._id = referralId
+  return Referral.findOne(filter).sort({ createdAt: 1 })
+}
+
+// Tells the referrer how the candidate they referred is doing
+const notifyReferrer = async (application, job) => {
+  if (!application.referredBy || !stageMessages[application.stage]) return
+
+  const candidateId = application.applicant._id || application.applicant
+  const candidate = await User.findById(candidateId).select('username').lean()
+  const name = candidate ? candidate.username : 'The candidate you referred'
+
+  await notifyUser({
+    recipient: application.referredBy,
+    sender: candidateId,
+    type: 'job',
+    title: 'Referral update',
+    message: `${name} ${stageMessages[application.stage]} ${job.position} at ${job.company}`,
+    metadata: {
+      jobId: job._id,
+      applicationId: application._id,
+      stage: application.stage,
+    },
+  })
+}
+
+module.exports = { findReferralForApplication, notifyReferrer }
@@ -0,0 +1,211 @@
+const questionTypes = ['text', 'yes-no', 'multiple-choice', 'numeric']
+
+// Multipart requests (create-job) send nested fields as JSON strings
+const parseQuestions = (value) => {
+  if (typeof value !== 'string') return value
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    return null
+  }
+}
+
+// Trimmed, non-empty and distinct, in the order they were sent
+const toOptionList = (value) =>
+  Array.isArray(value)
+    ? [...new Set(value.map((option) => String(option).trim()))].filter(Boolean)
+    : []
+
+// Validates screening questions sent by the poster.
+// Returns { error } or { questions } ready to be stored on the job.
+const validateScreeningQuestions = (value) => {
+  const input = parseQuestions(value)
+  if (input === undefined || input === '') return { questions: [] }
+  if (!Array.isArray(input)) {
+    return { error: 'Screening questions must be an array' }
+  }
+
+  const questions = []
+  for (const [index, item] of input.entries()) {
+    const label = `Screening question ${index + 1}`
+    if (!item || typeof item.question !== 'string' || !item.question.trim()) {
+      return { error: `${label} must have a question` }
+    }
+    if (!questionTypes.includes(item.type)) {
+      return { error: `${label} has an invalid type` }
+    }
+
+    const question = {
+      question: item.question.trim(),
+      type: item.type,
+      required: item.required !== false,
+    }
+    if (item._id) question._id = item._id
+
+    if (item.type === 'multiple-choice') {
+      const options = toOptionList(item.options)
+      if (options.length < 2) {
+        return { error: `${label} needs at least two options` }
+      }
+      question.options = options
+    }
+
+    if (item.knockout) {
+      const {
+        action = 'flag',
+        expectedAnswer,
+        acceptedOptions,
+        min,
+        max,
+      } = item.knockout
+      if (!['flag', 'reject'].includes(action)) {
+        return { error: `${label} has an invalid knockout action` }
+      }
+      // An optional knockout could be dodged by leaving it blank
+      if (!question.required) {
+        return { error: `${label}: knockout questions must be required` }
+      }
+      const knockout = { action }
+
+      if (item.type === 'text') {
+        return { error: `${label}: text answers cannot be knockouts` }
+      }
+      if (item.type === 'yes-no') {
+        if (typeof expectedAnswer !== 'boolean') {
+          return { error: `${label} needs an expected yes/no answer` }
+        }
+        knockout.expectedAnswer = expectedAnswer
+      }
+      if (item.type === 'multiple-choice') {
+        const accepted = toOptionList(acceptedOptions)
+        if (
+          !accepted.length ||
+          accepted.some((option) => !question.options.includes(option))
+        ) {
+          return { error: `${label} has invalid accepted options` }
+        }
+        knockout.acceptedOptions = accepted
+      }
+      if (item.type === 'numeric') {
+        const hasMin = min !== undefined && min !== null
+        const hasMax = max !== undefined && max !== null
+        if (
+          (!hasMin && !hasMax) ||
+          (hasMin && !Number.isFinite(Number(min))) ||
+          (hasMax && !Number.isFinite(Number(max)))
+        ) {
+          return { error: `${label} needs a numeric knockout threshold` }
+        }
+        if (hasMin) knockout.min = Number(min)
+        if (hasMax) knockout.max = Number(max)
+      }
+
+      question.knockout = knockout
+    }
+
+    questions.push(question)
+  }
+
+  return { questions }
+}
+
+const normaliseAnswer = (question, answer) => {
+  switch (question.type) {
+    case 'text':
+      return typeof answer === 'string' && answer.length <= 2000
+        ? answer.trim()
+        : undefined
+    case 'yes-no':
+      if (typeof answer === 'boolean') return answer
+      if (answer === 'yes') return true
+      if (answer === 'no') return false
+      return undefined
+    case 'multiple-choice': {
+      // Options are stored trimmed
+      const option = typeof answer === 'string' ? answer.trim() : answer
+      return question.options.includes(option) ? option : undefined
+    }
+    case 'numeric': {
+      const number = typeof answer === 'string' ? Number(answer) : answer
+      return Number.isFinite(number) ? number : undefined
+    }
+    default:
+      return undefined
+  }
+}
+
+const failsKnockout = (question, answer) => {
+  const { knockout } = question
+  if (!knockout || !knockout.action) return false
+  switch (question.type) {
+    case 'yes-no':
+      return answer !== knockout.expectedAnswer
+    case 'multiple-choice':
+      return !knockout.acceptedOptions.includes(answer)
+    case 'numeric':
+      return (
+        (knockout.min != null && answer < knockout.min) ||
+        (knockout.max != null && answer > knockout.max)
+      )
+    default:
+      return false
+  }
+}
+
+// Checks an applicant's answers against the job's screening questions.
+// Returns { error } or { answers, knockouts } where knockouts lists the
+// questions the candidate failed along with the configured action.
+const evaluateAnswers = (job, value) => {
+  const input = parseQuestions(value) || []
+  if (!Array.isArray(input)) return { error: 'Answers must be an array' }
+
+  const byQuestion = new Map()
+  for (const item of input) {
+    if (!item || !item.questionId) return { error: 'Invalid answers' }
+    byQuestion.set(item.questionId.toString(), item.answer)
+  }
+
+  const answers = []
+  const knockouts = []
+  for (const question of job.screeningQuestions) {
+    const id = question._id.toString()
+    const raw = byQuestion.get(id)
+    byQuestion.delete(id)
+
+    // Knockout questions are always required, even on jobs saved before
+    // that was checked
+    if (raw === undefined || raw === null || raw === '') {
+      if (question.required || question.knockout?.action) {
+        return { error: `An answer is required for "${question.question}"` }
+      }
+      continue
+    }
+
+    const answer = normaliseAnswer(question, raw)
+    if (answer === undefined) {
+      return { error: `Invalid answer for "${question.question}"` }
+    }
+
+    const knockedOut = failsKnockout(question, answer)
+    if (knockedOut) {
+      knockouts.push({
+        question: question.question,
+        action: question.knockout.action,
+      })
+    }
+    answers.push({
+      questionId: question._id,
+      question: question.question,
+      answer,
+      knockedOut,
+    })
+  }
+
+  if (byQuestion.size) {
+    return { error: 'Answers contain unknown questions' }
+  }
+
+  return { answers, knockouts }
+}
+
+module.exports = { validateScreeningQuestions, evaluateAnswers }
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose')
+const Skill = require('../../models/Skill')
+
+// Jobs and profiles list at most this many skills of each kind
+const maxSkills = 30
+
+// Required skills count twice as much as nice-to-have ones
+const matchWeights = { required: 2, niceToHave: 1 }
+
+// Accepts an array or a comma-separated string (multipart bodies) of skill
+// ids, slugs, names or aliases. Returns { error } or { skills } as ids.
+const resolveSkills = async (input) => {
+  if (input === null || input === '') return { skills: [] }
+
+  let values = input
+  if (typeof values === 'string' && values.trim().startsWith('[')) {
+    try {
+      values = JSON.parse(values)
+    } catch (error) {
+      return { error: 'Skills must be valid JSON' }
+    }
+  } else if (typeof values === 'string') {
+    values = values.split(',')
+  }
+  if (!Array.isArray(values)) return { error: 'Skills must be a list' }
+
+  const terms = [
+    ...new Set(
+      values
+        .map((value) => String(value).trim())
+        .filter(Boolean)
+        .map((value) => value.toLowerCase()),
+    ),
+  ]
+  if (terms.length > maxSkills) {
+    return { error: `A maximum of ${maxSkills} skills is allowed` }
+  }
+  if (!terms.length) return { skills: [] }
+
+  const ids = terms.filter((term) => mongoose.isValidObjectId(term))
+  const slugs = terms.map((term) => Skill.slugify(term))
+  const found = await Skill.find({
+    $or: [
+      { _id: { $in: ids } },
+      { slug: { $in: slugs } },
+      { aliases: { $in: terms } },
+    ],
+  }).select('slug aliases')
+
+  const skills = []
+  for (const term of terms) {
+    const skill = found.find(
+      (item) =>
+        item._id.toString() === term ||
+        item.slug === Skill.slugify(term) ||
+        item.aliases.includes(term),
+    )
+    if (!skill) return { error: `Unknown skill: ${term}` }
+    if (!skills.some((id) => id.equals(skill._id))) skills.push(skill._id)
+  }
+
+  return { skills }
+}
+
+// Resolves `requiredSkills` and `niceToHaveSkills` from a job body. Only sent
+// lists are returned, and a required skill is dropped from nice-to-have.
+const resolveJobSkills = async (body, job = {}) => {
+  const fields = {}
+  for (const field of ['requiredSkills', 'niceToHaveSkills']) {
+    if (body[field] === undefined) continue
+    const result = await resolveSkills(body[field])
+    if (result.error) return result
+    fields[field] = result.skills
+  }
+
+  const required = fields.requiredSkills || job.requiredSkills || []
+  const niceToHave = fields.niceToHaveSkills || job.niceToHaveSkills
+  if (niceToHave && (fields.requiredSkills || fields.niceToHaveSkills)) {
+    fields.niceToHaveSkills = niceToHave.filter(
+      (skill) => !required.some((id) => id.equals(skill)),
+    )
+  }
+
+  return { fields }
+}
+
+// Reads the id of a skill that may or may not be populated
+const skillId = (skill) => (skill._id || skill).toString()
+
+// Compares a job's skills with a user's declared skills. The score is the
+// weighted share of the job's skills the user has, from 0 to 100, or null
+// when the job lists no skills. Populated job skills are returned as is.
+const computeSkillMatch = (job, userSkills = []) => {
+  const owned = new Set(userSkills.map(skillId))
+  const required = job.requiredSkills || []
+  const niceToHave = job.niceToHaveSkills || []
+
+  const matchedRequired = required.filter((skill) => owned.has(skillId(skill)))
+  const matchedNiceToHave = niceToHave.filter((skill) =>
+    owned.has(skillId(skill)),
+  )
+
+  const total =
+    required.length * matchWeights.required +
+    niceToHave.length * matchWeights.niceToHave
+  const earned =
+    matchedRequired.length * matchWeights.required +
+    matchedNiceToHave.length * matchWeights.niceToHave
+
+  return {
+    score: total ? Math.round((earned / total) * 100) : null,
+    matchedSkills: [...matchedRequired, ...matchedNiceToHave],
+    missingSkills: required.filter((skill) => !owned.has(skillId(skill))),
+    missingNiceToHave: niceToHave.filter((skill) => !owned.has(skillId(skill))),
+  }
+}
+
+// Aggregation stages that add `matchScore` to applications, ranked the same
+// way as computeSkillMatch without loading every applicant
+const matchScoreStages = (job) => {
+  const overlap = (skills) => ({
+    $size: {
+      $setIntersection: [
+        '$applicantSkills',
+        skills.map(skillId).map((id) => new mongoose.Types.ObjectId(id)),
+      ],
+    },
+  })
+
+  return [
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'applicant',
+        foreignField: '_id',
+        pipeline: [{ $project: { skills: 1 } }],
+        as: 'applicantUser',
+      },
+    },
+    {
+      $addFields: {
+        applicantSkills: {
+          $ifNull: [{ $arrayElemAt: ['$applicantUser.skills', 0] }, []],
+        },
+      },
+    },
+    {
+      $addFields: {
+        matchScore: {
+          $add: [
+            {
+              $multiply: [
+                overlap(job.requiredSkills || []),
+                matchWeights.required,
+              ],
+            },
+            {
+              $multiply: [
+                overlap(job.niceToHaveSkills || []),
+                matchWeights.niceToHave,
+              ],
+            },
+          ],
+        },
+      },
+    },
+  ]
+}
+
+module.exports = {
+  resolveSkills,
+  resolveJobSkills,
+  computeSkillMatch,
+  matchScoreStages,
+}
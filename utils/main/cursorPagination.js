@@ -0,0 +1,175 @@
+const mongoose = require('mongoose')
+
+// Keyset ("cursor") pagination. A list is ordered by a sort given as
+// [[field, 1 | -1], ...] that ends with a unique field, usually `_id`, so
+// every item has a unique position. A cursor is an opaque string holding
+// the sort values of the item a page starts after, plus the direction to
+// read in, so new items arriving between requests neither shift pages nor
+// repeat items. A cursor can also carry `state` a list needs to page
+// consistently, such as the id of the stored ranking a feed pages over.
+
+// Sort values are Dates, ObjectIds, numbers or strings. Dates and ObjectIds
+// are tagged so they come back with the right type.
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() }
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() }
+  return value
+}
+
+const decodeValue = (value) => {
+  if (value === null || typeof value !== 'object') return value
+  if (typeof value.d === 'string') {
+    const date = new Date(value.d)
+    if (Number.isNaN(date.getTime())) throw new Error('Invalid date')
+    return date
+  }
+  if (typeof value.o === 'string' && mongoose.Types.ObjectId.isValid(value.o)) {
+    return new mongoose.Types.ObjectId(value.o)
+  }
+  throw new Error('Invalid cursor value')
+}
+
+const encodeCursor = (direction, values, state) =>
+  Buffer.from(
+    JSON.stringify({ d: direction, v: values.map(encodeValue), s: state }),
+  ).toString('base64url')
+
+// Returns { direction, values, state } or null when the cursor is not one
+// of ours for this sort
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { d, v, s } = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+    if (!['next', 'prev'].includes(d) || !Array.isArray(v)) return null
+    if (v.length !== sort.length) return null
+    return { direction: d, values: v.map(decodeValue), state: s }
+  } catch (error) {
+    return null
+  }
+}
+
+const valueAt = (item, path) =>
+  path
+    .split('.')
+    .reduce((value, key) => (value == null ? value : value[key]), item)
+
+// Reads `cursor` and `limit` from a query string.
+// Returns { error } or { cursor, limit }, `cursor` is null on the first page.
+const readPageParams = (
+  query,
+  sort,
+  { defaultLimit = 20, maxLimit = 50 } = {},
+) => {
+  const limit = Math.min(parseInt(query.limit, 10) || defaultLimit, maxLimit)
+  if (!query.cursor) return { cursor: null, limit: Math.max(limit, 1) }
+
+  const cursor = decodeCursor(String(query.cursor), sort)
+  if (!cursor) return { error: 'Invalid cursor' }
+  return { cursor, limit: Math.max(limit, 1) }
+}
+
+// Filter selecting the items after the cursor, in reading direction:
+// (a < x) or (a = x and b < y) or ... for descending fields
+const cursorMatch = (sort, cursor) => {
+  if (!cursor) return {}
+  const backwards = cursor.direction === 'prev'
+  return {
+    $or: sort.map(([field, order], index) => {
+      const condition = {}
+      sort.slice(0, index).forEach(([previous], i) => {
+        condition[previous] = cursor.values[i]
+      })
+      const after = order === -1 ? !backwards : backwards
+      condition[field] = { [after ? '$lt' : '$gt']: cursor.values[index] }
+      return condition
+    }),
+  }
+}
+
+// The sort to query with. Reading backwards queries in reverse and flips
+// the page afterwards.
+const cursorSort = (sort, cursor) => {
+  const backwards = cursor && cursor.direction === 'prev'
+  return Object.fromEntries(
+    sort.map(([field, order]) => [field, backwards ? -order : order]),
+  )
+}
+
+const compareValues = (a, b) => {
+  const [x, y] =
+    a instanceof mongoose.Types.ObjectId ? [String(a), String(b)] : [a, b]
+  if (x < y) return -1
+  return x > y ? 1 : 0
+}
+
+// Comparator for items in query order, to merge the pages of several
+// queries that share a sort
+const compareInQueryOrder = (sort, cursor) => {
+  const order = cursorSort(sort, cursor)
+  return (a, b) => {
+    for (const [field] of sort) {
+      const result = compareValues(valueAt(a, field), valueAt(b, field))
+      if (result) return result * order[field]
+    }
+    return 0
+  }
+}
+
+// Turns `limit + 1` queried items into a page with the cursors of its
+// neighbours. `nextCursor` / `prevCursor` are null at the ends of the list.
+const toPage = (items, sort, { cursor, limit }, state) => {
+  const backwards = Boolean(cursor) && cursor.direction === 'prev'
+  const hasMore = items.length > limit
+  const page = items.slice(0, limit)
+  if (backwards) page.reverse()
+
+  const hasNext = backwards || hasMore
+  const hasPrev = backwards ? hasMore : Boolean(cursor)
+  const first = page[0]
+  const last = page[page.length - 1]
+  const valuesOf = (item) => sort.map(([field]) => valueAt(item, field))
+
+  return {
+    items: page,
+    nextCursor:
+      hasNext && last ? encodeCursor('next', valuesOf(last), state) : null,
+    prevCursor:
+      hasPrev && first ? encodeCursor('prev', valuesOf(first), state) : null,
+  }
+}
+
+// Pages a list already in memory, e.g. ranked in code rather than sorted
+// by the database
+const paginateArray = (items, sort, params, state) => {
+  const compare = compareInQueryOrder(sort, params.cursor)
+  const ordered = [...items].sort(compare)
+  const start = params.cursor
+    ? Object.fromEntries(
+        sort.map(([field], index) => [field, params.cursor.values[index]]),
+      )
+    : null
+  const after = start
+    ? ordered.filter((item) => compare(item, start) > 0)
+    : ordered
+  return toPage(after.slice(0, params.limit + 1), sort, params, state)
+}
+
+// Pages a Mongoose query: `find` receives the filter and returns a query to
+// which sort and limit are added, so callers can select and populate
+const paginateQuery = async (find, filter, sort, params) => {
+  const items = await find({
+    $and: [filter, cursorMatch(sort, params.cursor)],
+  })
+    .sort(cursorSort(sort, params.cursor))
+    .limit(params.limit + 1)
+  return toPage(items, sort, params)
+}
+
+module.exports = {
+  readPageParams,
+  cursorMatch,
+  cursorSort,
+  compareInQueryOrder,
+  toPage,
+  paginateQuery,
+  paginateArray,
+}
@@ -0,0 +1,59 @@
+const { Expo } = require('expo-server-sdk')
+const User = require('../../models/User')
+const Notification = require('../../models/Notification')
+const expo = new Expo()
+
+/**
+ * Store a notification for a user and send it as an Expo push when the user
+ * has a valid token and has not blocked or muted notifications.
+ * `userId` is the recipient, matching what getNotifications reads.
+ */
+const notifyUser = async ({
+  recipient,
+  sender,
+  type,
+  title,
+  message,
+  metadata = {},
+}) => {
+  const user = await User.findById(recipient)
+    .select('pushNotificationToken isNotificationsBlocked isNotificationsMuted')
+    .lean()
+  if (!user) return null
+
+  const notification = await Notification.create({
+    userId: user._id,
+    receiverId: user._id,
+    type,
+    title,
+    message,
+    metadata: sender ? { ...metadata, senderId: sender } : metadata,
+  })
+
+  const pushToken = user.pushNotificationToken
+  if (
+    !user.isNotificationsBlocked &&
+    !user.isNotificationsMuted &&
+    pushToken &&
+    Expo.isExpoPushToken(pushToken)
+  ) {
+    try {
+      await expo.sendPushNotificationsAsync([
+        {
+          to: pushToken,
+          sound: 'default',
+          title,
+          body: message,
+          data: { type, notificationId: notification._id, ...metadata },
+        },
+      ])
+    } catch (error) {
+      // The notification is stored either way, a failed push is not fatal
+      console.error('Error sending push notification:', error)
+    }
+  }
+
+  return notification
+}
+
+module.exports = notifyUser
@@ -0,0 +1,65 @@
+const { Expo } = require('expo-server-sdk')
+const User = require('../../models/User')
+const Notification = require('../../models/Notification')
+const expo = new Expo()
+
+/**
+ * Store the same notification for many users at once and send it as Expo
+ * pushes in as few requests as Expo allows. Same rules as notifyUser: only
+ * users with a valid token who have not blocked or muted notifications get
+ * a push. Returns the stored notifications.
+ */
+const notifyUsers = async ({
+  recipients,
+  sender,
+  type,
+  title,
+  message,
+  metadata = {},
+}) => {
+  const users = await User.find({ _id: { $in: recipients } })
+    .select('pushNotificationToken isNotificationsBlocked isNotificationsMuted')
+    .lean()
+  if (!users.length) return []
+
+  const notifications = await Notification.insertMany(
+    users.map((user) => ({
+      userId: user._id,
+      receiverId: user._id,
+      type,
+      title,
+      message,
+      metadata: sender ? { ...metadata, senderId: sender } : metadata,
+    })),
+  )
+
+  const pushes = users
+    .map((user, index) => ({ user, notification: notifications[index] }))
+    .filter(
+      ({ user }) =>
+        !user.isNotificationsBlocked &&
+        !user.isNotificationsMuted &&
+        user.pushNotificationToken &&
+        Expo.isExpoPushToken(user.pushNotificationToken),
+    )
+    .map(({ user, notification }) => ({
+      to: user.pushNotificationToken,
+      sound: 'default',
+      title,
+      body: message,
+      data: { type, notificationId: notification._id, ...metadata },
+    }))
+
+  for (const chunk of expo.chunkPushNotifications(pushes)) {
+    try {
+      await expo.sendPushNotificationsAsync(chunk)
+    } catch (error) {
+      // The notifications are stored either way, a failed push is not fatal
+      console.error('Error sending push notifications:', error)
+    }
+  }
+
+  return notifications
+}
+
+module.exports = notifyUsers
@@ -0,0 +1,104 @@
+const Post = require('../../models/Post')
+const PostLike = require('../../models/PostLike')
+const PostView = require('../../models/PostView')
+const ReelWatch = require('../../models/ReelWatch')
+
+// Likes and views live in their own collections, one document per user and
+// post. The post's counters are updated atomically next to them, so lists
+// and feeds can read and sort by counts without loading who liked what.
+
+const isDuplicateKeyError = (error) => error && error.code === 11000
+
+// Likes a post. Returns false when the user already liked it.
+const addLike = async (postId, userId) => {
+  try {
+    await PostLike.create({ post: postId, user: userId })
+  } catch (error) {
+    if (isDuplicateKeyError(error)) return false
+    throw error
+  }
+  await Post.updateOne({ _id: postId }, { $inc: { likesCount: 1 } })
+  return true
+}
+
+// Removes a like. Returns false when the user had not liked the post.
+const removeLike = async (postId, userId) => {
+  const { deletedCount } = await PostLike.deleteOne({
+    post: postId,
+    user: userId,
+  })
+  if (!deletedCount) return false
+  await Post.updateOne(
+    { _id: postId, likesCount: { $gt: 0 } },
+    { $inc: { likesCount: -1 } },
+  )
+  return true
+}
+
+// Records that a user viewed a post. Returns false for repeat views.
+const recordView = async (postId, userId) => {
+  const { upsertedCount } = await PostView.updateOne(
+    { post: postId, user: userId },
+    { $setOnInsert: { post: postId, user: userId } },
+    { upsert: true },
+  )
+  if (!upsertedCount) return false
+  await Post.updateOne({ _id: postId }, { $inc: { viewsCount: 1 } })
+  return true
+}
+
+// Keeps `commentsCount` in step when comments or replies are added
+// (positive) or removed (negative). The count never drops below zero.
+const adjustCommentsCount = (postId, by) =>
+  Post.updateOne({ _id: postId }, [
+    {
+      $set: {
+        commentsCount: {
+          $max: [0, { $add: [{ $ifNull: ['$commentsCount', 0] }, by] }],
+        },
+      },
+    },
+  ])
+
+// The posts a user liked most recently, newest first
+const findRecentlyLikedPostIds = async (userId, limit = 100) => {
+  const likes = await PostLike.find({ user: userId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .select('post')
+    .lean()
+  return likes.map((like) => like.post)
+}
+
+// Adds `liked` to each post, telling whether the viewer liked it
+const withLikedState = async (posts, viewerId) => {
+  if (!viewerId || !posts.length) {
+    return posts.map((post) => ({ ...post, liked: false }))
+  }
+  const liked = await PostLike.find({
+    user: viewerId,
+    post: { $in: posts.map((post) => post._id) },
+  }).distinct('post')
+  const likedIds = new Set(liked.map((id) => id.toString()))
+  return posts.map((post) => ({
+    ...post,
+    liked: likedIds.has(post._id.toString()),
+  }))
+}
+
+// Removes the likes, views and reel plays of a deleted post
+const removePostEngagement = async (postId) => {
+  await PostLike.deleteMany({ post: postId })
+  await PostView.deleteMany({ post: postId })
+  await ReelWatch.deleteMany({ post: postId })
+}
+
+module.exports = {
+  addLike,
+  removeLike,
+  recordView,
+  adjustCommentsCount,
+  findRecentlyLikedPostIds,
+  withLikedState,
+  removePostEngagement,
+}
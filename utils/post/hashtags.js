@@ -0,0 +1,185 @@
+const Hashtag = require('../../models/Hashtag')
+const Post = require('../../models/Post')
+
+// A post keeps at most this many hashtags, the rest of the caption is text
+const maxHashtagsPerPost = 30
+const maxHashtagLength = 50
+
+// '#' at the start or after a character that cannot be part of a word, so
+// "page#section" in a link is not a hashtag
+const hashtagPattern = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]+)/gu
+
+const hourInMs = 60 * 60 * 1000
+
+// Sliding windows for trending hashtags. Each window is compared with the
+// window of the same length right before it.
+const trendingWindows = {
+  '1h': hourInMs,
+  '24h': 24 * hourInMs,
+  '7d': 7 * 24 * hourInMs,
+}
+
+// A hashtag needs posts from this many people to trend, so one account
+// cannot push a hashtag on its own
+const minTrendingAuthors = 2
+const trendingCacheMs = 60 * 1000
+const trendingCache = new Map()
+
+// "#WebDev" and "#webdev" are the same hashtag. Accents are kept, so
+// "#café" and "#cafe" are different hashtags.
+const normaliseHashtag = (value) =>
+  String(value || '')
+    .replace(/^#/, '')
+    .normalize('NFKC')
+    .toLowerCase()
+
+// Hashtag names are letters, numbers and underscores, not only numbers
+const isValidHashtag = (name) =>
+  name.length > 0 &&
+  name.length <= maxHashtagLength &&
+  /^[\p{L}\p{N}_]+$/u.test(name) &&
+  !/^\d+$/.test(name)
+
+// Returns the unique hashtags of a caption as [{ name, display }], in the
+// order they first appear
+const parseHashtags = (caption) => {
+  const hashtags = new Map()
+  for (const match of String(caption || '').matchAll(hashtagPattern)) {
+    const display = match[2].normalize('NFKC')
+    const name = normaliseHashtag(display)
+    if (!isValidHashtag(name) || hashtags.has(name)) continue
+    hashtags.set(name, { name, display })
+    if (hashtags.size >= maxHashtagsPerPost) break
+  }
+  return [...hashtags.values()]
+}
+
+// Updates usage counts after a post's hashtags changed. `previous` are the
+// names the post had, `next` the parsed hashtags it has now.
+const syncHashtagCounts = async (previous = [], next = []) => {
+  const nextNames = next.map((hashtag) => hashtag.name)
+  const added = next.filter((hashtag) => !previous.includes(hashtag.name))
+  const removed = previous.filter((name) => !nextNames.includes(name))
+  const now = new Date()
+
+  const operations = [
+    ...added.map(({ name, display }) => ({
+      updateOne: {
+        filter: { name },
+        update: {
+          $inc: { postsCount: 1 },
+          $set: { lastUsedAt: now },
+          $setOnInsert: { display },
+        },
+        upsert: true,
+      },
+    })),
+    ...removed.map((name) => ({
+      updateOne: {
+        filter: { name, postsCount: { $gt: 0 } },
+        update: { $inc: { postsCount: -1 } },
+      },
+    })),
+  ]
+  if (operations.length) await Hashtag.bulkWrite(operations, { ordered: false })
+}
+
+// Ranks hashtags by how many people used them in the window and how fast
+// that grew compared with the window before
+const computeTrendingHashtags = async (window, limit) => {
+  const length = trendingWindows[window]
+  const now = Date.now()
+  const start = new Date(now - length)
+  const previousStart = new Date(now - 2 * length)
+
+  const counts = await Post.aggregate([
+    {
+      $match: {
+        postedAt: { $gte: previousStart },
+        isDeleted: { $ne: true },
+        status: { $nin: ['draft', 'scheduled'] },
+        'hashtags.0': { $exists: true },
+      },
+    },
+    {
+      $project: {
+        hashtags: 1,
+        author: 1,
+        isCurrent: { $gte: ['$postedAt', start] },
+      },
+    },
+    { $unwind: '$hashtags' },
+    {
+      $group: {
+        _id: '$hashtags',
+        postsCount: { $sum: { $cond: ['$isCurrent', 1, 0] } },
+        previousCount: { $sum: { $cond: ['$isCurrent', 0, 1] } },
+        authors: {
+          $addToSet: { $cond: ['$isCurrent', '$author', null] },
+        },
+      },
+    },
+    {
+      $addFields: {
+        authorsCount: { $size: { $setDifference: ['$authors', [null]] } },
+      },
+    },
+    { $match: { authorsCount: { $gte: minTrendingAuthors } } },
+    {
+      $addFields: {
+        growth: {
+          $divide: [
+            { $add: ['$postsCount', 1] },
+            { $add: ['$previousCount', 1] },
+          ],
+        },
+      },
+    },
+    { $addFields: { score: { $multiply: ['$authorsCount', '$growth'] } } },
+    { $sort: { score: -1, postsCount: -1, _id: 1 } },
+    { $limit: limit },
+  ])
+
+  const hashtags = await Hashtag.find({
+    name: { $in: counts.map((count) => count._id) },
+  }).select('name display postsCount followersCount')
+  const byName = new Map(hashtags.map((hashtag) => [hashtag.name, hashtag]))
+
+  return counts
+    .filter((count) => byName.has(count._id))
+    .map((count) => {
+      const hashtag = byName.get(count._id)
+      return {
+        _id: hashtag._id,
+        name: hashtag.name,
+        display: hashtag.display,
+        totalPosts: hashtag.postsCount,
+        followersCount: hashtag.followersCount,
+        postsCount: count.postsCount,
+        previousCount: count.previousCount,
+        authorsCount: count.authorsCount,
+        growth: Math.round(count.growth * 100) / 100,
+        score: Math.round(count.score * 100) / 100,
+      }
+    })
+}
+
+// Trending hashtags are the same for everyone, so results are cached briefly
+const findTrendingHashtags = async (window, limit) => {
+  const key = `${window}:${limit}`
+  const cached = trendingCache.get(key)
+  if (cached && cached.expiresAt > Date.now()) return cached.data
+
+  const data = await computeTrendingHashtags(window, limit)
+  trendingCache.set(key, { data, expiresAt: Date.now() + trendingCacheMs })
+  return data
+}
+
+module.exports = {
+  trendingWindows,
+  normaliseHashtag,
+  isValidHashtag,
+  parseHashtags,
+  syncHashtagCounts,
+  findTrendingHashtags,
+}
@@ -0,0 +1,141 @@
+const User = require('../../models/User')
+const Post = require('../../models/Post')
+const Notification = require('../../models/Notification')
+const notifyUser = require('../main/notifyUser')
+
+// '@' at the start or after a character that cannot be part of a username or
+// an email address. Usernames may contain dots and dashes, but not end with
+// them, so "@alice." mentions "alice".
+const mentionPattern =
+  /(^|[^\p{L}\p{N}_@.])@([A-Za-z0-9_](?:[A-Za-z0-9_.-]*[A-Za-z0-9_])?)/gu
+
+// Mentions of more people than this are left as plain text
+const maxMentionedUsers = 20
+
+const isSameId = (a, b) => a.toString() === b.toString()
+
+// Finds `@username` candidates with their position in the text. Offsets and
+// lengths count UTF-16 code units, like JavaScript string indexes.
+const parseMentions = (text) =>
+  [...String(text || '').matchAll(mentionPattern)].map((match) => ({
+    username: match[2],
+    offset: match.index + match[1].length,
+    length: match[2].length + 1,
+  }))
+
+// Resolves the mentions of a text to users, ignoring case. Unknown users and
+// users with a block between them and the author stay plain text.
+// Returns the entities to store: [{ user, username, offset, length }].
+const resolveMentions = async (text, author) => {
+  const candidates = parseMentions(text)
+  if (!candidates.length) return []
+
+  const names = [
+    ...new Set(candidates.map(({ username }) => username.toLowerCase())),
+  ]
+  const users = await User.find({ username: { $in: names } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('username blockedUsers')
+    .lean()
+
+  const authorBlocked = author.blockedUsers || []
+  const byName = new Map()
+  for (const user of users) {
+    const blocked =
+      authorBlocked.some((id) => isSameId(id, user._id)) ||
+      (user.blockedUsers || []).some((id) => isSameId(id, author._id))
+    if (!blocked) byName.set(user.username.toLowerCase(), user)
+  }
+
+  const entities = []
+  const mentioned = new Set()
+  for (const candidate of candidates) {
+    const user = byName.get(candidate.username.toLowerCase())
+    if (!user) continue
+    const id = user._id.toString()
+    if (!mentioned.has(id) && mentioned.size >= maxMentionedUsers) continue
+    mentioned.add(id)
+    entities.push({
+      user: user._id,
+      username: user.username,
+      offset: candidate.offset,
+      length: candidate.length,
+    })
+  }
+  return entities
+}
+
+// Notifies users newly mentioned in a post or comment. `previous` are the
+// entities before an edit, and users already notified about the same post
+// or comment are skipped, so nobody is notified twice. `owner` is the author
+// of the post: a private account's content is only announced to its
+// followers. Posts whose author was deleted announce nothing, since there is
+// no account left to check visibility against.
+const notifyMentions = async ({
+  entities,
+  previous = [],
+  author,
+  owner,
+  postId,
+  commentId = null,
+}) => {
+  const recipients = [
+    ...new Set(entities.map((entity) => entity.user.toString())),
+  ].filter(
+    (id) =>
+      !isSameId(id, author._id) &&
+      !previous.some((entity) => isSameId(entity.user, id)),
+  )
+  if (!recipients.length || !owner) return
+
+  const visible = recipients.filter(
+    (id) =>
+      !owner.isPrivateAccount ||
+      isSameId(id, owner._id) ||
+      (owner.followers || []).some((follower) => isSameId(follower, id)),
+  )
+
+  const notified = await Notification.find({
+    type: 'mention',
+    receiverId: { $in: visible },
+    'metadata.postId': postId,
+    'metadata.commentId': commentId,
+  }).distinct('receiverId')
+
+  const place = commentId ? 'a comment' : 'a post'
+  for (const recipient of visible) {
+    if (notified.some((id) => isSameId(id, recipient))) continue
+    await notifyUser({
+      recipient,
+      sender: author._id,
+      type: 'mention',
+      title: 'New mention',
+      message: `${author.username} mentioned you in ${place}`,
+      metadata: { postId, commentId },
+    })
+  }
+}
+
+// Notifies users mentioned in a comment on `postId`. It runs in the
+// background once the comment is saved and logs its errors, so a failed
+// notification cannot fail the request.
+const notifyCommentMentions = ({ postId, ...mention }) => {
+  const notify = async () => {
+    const post = await Post.findById(postId).select('author').lean()
+    if (!post) return
+    const owner = await User.findById(post.author)
+      .select('username isPrivateAccount followers')
+      .lean()
+    await notifyMentions({ ...mention, owner, postId: post._id })
+  }
+  notify().catch((error) =>
+    console.error('Error notifying mentioned users:', error),
+  )
+}
+
+module.exports = {
+  parseMentions,
+  resolveMentions,
+  notifyMentions,
+  notifyCommentMentions,
+}
@@ -0,0 +1,24 @@
+const User = require('../../models/User')
+
+// Posts anyone may see in lists and feeds. Posts created before drafts
+// existed have no status and count as published.
+const publishedPostFilter = { status: { $nin: ['draft', 'scheduled'] } }
+
+const isPublished = (post) => !['draft', 'scheduled'].includes(post.status)
+
+// Authors whose posts the viewer cannot see: people who blocked the viewer,
+// people the viewer blocked and private accounts the viewer does not follow.
+// Used as `author: { $nin: ... }` so pagination counts stay correct.
+const getHiddenAuthorIds = async (viewer) => {
+  const hidden = await User.find({
+    _id: { $ne: viewer._id },
+    $or: [
+      { blockedUsers: viewer._id },
+      { _id: { $in: viewer.blockedUsers || [] } },
+      { isPrivateAccount: true, _id: { $nin: viewer.following || [] } },
+    ],
+  }).distinct('_id')
+  return hidden
+}
+
+module.exports = { publishedPostFilter, isPublished, getHiddenAuthorIds }
@@ -0,0 +1,64 @@
+const Post = require('../../../models/Post')
+const Hashtag = require('../../../models/Hashtag')
+const { findRecentlyLikedPostIds } = require('../engagement')
+const { getHiddenAuthorIds } = require('../postVisibility')
+
+const hourInMs = 60 * 60 * 1000
+
+// What the ranking knows about the viewer, loaded once per request
+const buildViewerContext = async (viewer, config, now) => {
+  const likedPostIds = await findRecentlyLikedPostIds(viewer._id)
+  const likedPosts = likedPostIds.length
+    ? await Post.find({ _id: { $in: likedPostIds } })
+        .select('author tags')
+        .lean()
+    : []
+
+  // How many of the viewer's recent likes went to each author
+  const authorAffinity = new Map()
+  likedPosts.forEach((post) => {
+    const author = String(post.author)
+    authorAffinity.set(author, (authorAffinity.get(author) || 0) + 1)
+  })
+
+  const followedHashtags = await Hashtag.find({
+    _id: { $in: viewer.followedHashtags || [] },
+  }).distinct('name')
+  const hiddenAuthors = await getHiddenAuthorIds(viewer)
+
+  return {
+    viewer,
+    config,
+    now,
+    following: new Set((viewer.following || []).map(String)),
+    preferences: new Set(viewer.preferences || []),
+    likedTags: new Set(likedPosts.flatMap((post) => post.tags || [])),
+    followedHashtags: new Set(followedHashtags),
+    authorAffinity,
+    hiddenAuthors,
+  }
+}
+
+const countMatches = (values, set) =>
+  (values || []).filter((value) => set.has(value)).length
+
+// Feature values of a post for the viewer. Counts grow on a log scale so a
+// viral post does not drown out everything the viewer is close to.
+const extractFeatures = (post, context) => {
+  const author = String(post.author?._id || post.author)
+  return {
+    likes: Math.log1p(post.likesCount || 0),
+    comments: Math.log1p(post.commentsCount || 0),
+    views: Math.log1p(post.viewsCount || 0),
+    following: context.following.has(author) ? 1 : 0,
+    authorAffinity: Math.log1p(context.authorAffinity.get(author) || 0),
+    category: context.preferences.has(post.category) ? 1 : 0,
+    hashtag: Math.log1p(countMatches(post.hashtags, context.followedHashtags)),
+    tags: Math.log1p(countMatches(post.tags, context.likedTags)),
+  }
+}
+
+// Hours between publishing and the time the feed is ranked at
+const ageInHours = (post, now) => Math.max(now - post.postedAt, 0) / hourInMs
+
+module.exports = { buildViewerContext, extractFeatures, ageInHours }
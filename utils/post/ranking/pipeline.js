@@ -0,0 +1,219 @@
+const mongoose = require('mongoose')
+const Post = require('../../../models/Post')
+const RankedFeed = require('../../../models/RankedFeed')
+const { feeds } = require('../../../config/configFeedRanking')
+const { publishedPostFilter } = require('../postVisibility')
+const { readPageParams, paginateArray } = require('../../main/cursorPagination')
+const { sources, candidateFields } = require('./sources')
+const {
+  buildViewerContext,
+  extractFeatures,
+  ageInHours,
+} = require('./features')
+const { scorePost } = require('./scorer')
+const {
+  applySeenRule,
+  penaliseRepeatedAuthors,
+  spreadAuthors,
+} = require('./rules')
+const { addReelFeatures, excludeCompletedReels } = require('./reels')
+
+// Feed ranking runs in stages: candidate sources find posts, then each
+// stage takes the ranked items and the context and returns new items.
+// Items are { _id, post, sources, score, ... }. A feed is ranked once, on
+// its first page, and the ranked ids are kept for a while; the cursor
+// points at them, so later pages page over the same list and line up.
+
+// How long a ranking can be paged through before the feed must be reloaded
+const rankingTtlMs = 30 * 60 * 1000
+
+const rankedSort = [
+  ['score', -1],
+  ['_id', -1],
+]
+
+const addFeatures = (items, context) =>
+  items.map((item) => ({
+    ...item,
+    features: extractFeatures(item.post, context),
+    ageHours: ageInHours(item.post, context.now),
+  }))
+
+const addScores = (items, context) =>
+  items.map((item) => ({
+    ...item,
+    ...scorePost(item.features, item.ageHours, context.config),
+  }))
+
+const defaultStages = [
+  addFeatures,
+  addScores,
+  applySeenRule,
+  penaliseRepeatedAuthors,
+]
+
+const feedStages = {
+  home: defaultStages,
+  explore: defaultStages,
+  reels: [
+    addFeatures,
+    addReelFeatures,
+    addScores,
+    excludeCompletedReels,
+    penaliseRepeatedAuthors,
+  ],
+}
+
+// Reads `cursor` and `limit` plus the stored ranking the cursor pages
+// through, null on the first page.
+// Returns { error } or { cursor, limit, rankingId }.
+const readRankedPageParams = (query) => {
+  const params = readPageParams(query, rankedSort)
+  if (params.error) return params
+  if (!params.cursor) return { ...params, rankingId: null }
+
+  const rankingId = params.cursor.state?.ranking
+  if (!mongoose.Types.ObjectId.isValid(rankingId)) {
+    return { error: 'Invalid cursor' }
+  }
+  return { ...params, rankingId }
+}
+
+// Runs the feed's sources and loads the posts they found once, recording
+// which sources found each post
+const collectCandidates = async (context) => {
+  const { config } = context
+  const found = new Map()
+  const results = await Promise.all(
+    config.sources.map((name) => {
+      if (!sources[name]) throw new Error(`Unknown candidate source: ${name}`)
+      return sources[name](context, config.maxCandidatesPerSource)
+    }),
+  )
+  results.forEach((ids, index) => {
+    ids.forEach((id) => {
+      const key = String(id)
+      found.set(key, [...(found.get(key) || []), config.sources[index]])
+    })
+  })
+  if (!found.size) return []
+
+  const posts = await Post.find({
+    ...publishedPostFilter,
+    _id: { $in: [...found.keys()] },
+    isDeleted: { $ne: true },
+  })
+    .select(candidateFields)
+    .populate('author', 'username profileImg')
+    .lean()
+  return posts.map((post) => ({
+    _id: post._id,
+    post,
+    sources: found.get(String(post._id)),
+  }))
+}
+
+const round = (value) => Math.round(value * 10000) / 10000
+
+const roundAll = (values) =>
+  Object.fromEntries(
+    Object.entries(values).map(([name, value]) => [name, round(value)]),
+  )
+
+// How a post's score came about, returned in debug mode
+const breakdownOf = (item) => ({
+  score: round(item.score),
+  relevance: round(item.relevance),
+  decay: round(item.decay),
+  ageHours: round(item.ageHours),
+  features: roundAll(item.features),
+  contributions: roundAll(item.contributions),
+  seen: Boolean(item.seen),
+  authorPenalty: round(item.authorPenalty ?? 1),
+  sources: item.sources,
+})
+
+// Runs the stages and stores the ranked ids, with their score breakdown
+// in debug mode
+const createRanking = async (viewer, feed, config, { debug, stages }) => {
+  const context = await buildViewerContext(viewer, config, new Date())
+
+  let items = await collectCandidates(context)
+  for (const stage of stages) {
+    items = await stage(items, context)
+  }
+
+  return RankedFeed.create({
+    viewer: viewer._id,
+    feed,
+    items: items.map((item) => ({
+      _id: item._id,
+      score: item.score,
+      ranking: debug ? breakdownOf(item) : undefined,
+    })),
+    expiresAt: new Date(context.now.getTime() + rankingTtlMs),
+  })
+}
+
+// Ranks the `feed` feed ('home', 'explore' or 'reels') for `viewer`, who
+// needs `following`, `blockedUsers`, `preferences` and `followedHashtags`,
+// and returns a page of it. The first page ranks the feed; `weights`
+// override the configured weights there and `debug` keeps a `ranking`
+// breakdown for each post. Later pages read that ranking.
+// Returns { error } when the ranking a cursor points at has expired.
+const rankFeed = async (
+  viewer,
+  feed,
+  pageParams,
+  { weights = {}, debug = false, stages = feedStages[feed] } = {},
+) => {
+  const config = {
+    ...feeds[feed],
+    weights: { ...feeds[feed].weights, ...weights },
+  }
+
+  const ranking = pageParams.rankingId
+    ? await RankedFeed.findOne({
+        _id: pageParams.rankingId,
+        viewer: viewer._id,
+        feed,
+        expiresAt: { $gt: new Date() },
+      }).lean()
+    : await createRanking(viewer, feed, config, { debug, stages })
+  if (!ranking) return { error: 'This feed has expired, reload it' }
+
+  const page = paginateArray(ranking.items, rankedSort, pageParams, {
+    ranking: ranking._id.toString(),
+  })
+
+  // Posts deleted since the ranking are left out
+  const posts = await Post.find({
+    ...publishedPostFilter,
+    _id: { $in: page.items.map((item) => item._id) },
+    isDeleted: { $ne: true },
+  })
+    .select(candidateFields)
+    .populate('author', 'username profileImg')
+    .lean()
+  const byId = new Map(posts.map((post) => [post._id.toString(), post]))
+
+  const ranked = page.items
+    .filter((item) => byId.has(item._id.toString()))
+    .map((item) => {
+      const post = byId.get(item._id.toString())
+      return debug && item.ranking ? { ...post, ranking: item.ranking } : post
+    })
+  return {
+    posts: spreadAuthors(ranked, config.authorGap),
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+  }
+}
+
+module.exports = {
+  rankedSort,
+  defaultStages,
+  feedStages,
+  readRankedPageParams,
+  rankFeed,
+}
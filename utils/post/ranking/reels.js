@@ -0,0 +1,40 @@
+const ReelWatch = require('../../../models/ReelWatch')
+
+// Stages only the reels feed runs, on the play totals of each reel
+
+// How reels hold their viewers. Completion is smoothed towards one half so
+// a reel with a single completed play does not rank as perfect.
+const addReelFeatures = (items) =>
+  items.map((item) => {
+    const {
+      plays = 0,
+      viewers = 0,
+      watchTime = 0,
+      completions = 0,
+    } = item.post.reelStats || {}
+    return {
+      ...item,
+      features: {
+        ...item.features,
+        completionRate: (completions + 1) / (plays + 2),
+        watchTime: Math.log1p(plays ? watchTime / plays : 0),
+        replays: Math.log1p(
+          viewers ? Math.max(plays - viewers, 0) / viewers : 0,
+        ),
+      },
+    }
+  })
+
+// Reels the viewer watched to the end before the ranking time are left out
+const excludeCompletedReels = async (items, context) => {
+  if (!items.length) return items
+  const completed = await ReelWatch.find({
+    user: context.viewer._id,
+    post: { $in: items.map((item) => item._id) },
+    completedAt: { $lte: context.now },
+  }).distinct('post')
+  const completedIds = new Set(completed.map(String))
+  return items.filter((item) => !completedIds.has(String(item._id)))
+}
+
+module.exports = { addReelFeatures, excludeCompletedReels }
@@ -0,0 +1,64 @@
+const PostView = require('../../../models/PostView')
+
+const authorOf = (item) => String(item.post.author?._id || item.post.author)
+
+// Posts the viewer already viewed are hidden or have their score multiplied
+// by `seen.penalty`. Only views before the ranking time count, so viewing
+// the first page does not reshuffle the next ones.
+const applySeenRule = async (items, context) => {
+  const { mode, penalty } = context.config.seen || {}
+  if (!mode || !items.length) return items
+
+  const viewed = await PostView.find({
+    user: context.viewer._id,
+    post: { $in: items.map((item) => item._id) },
+    createdAt: { $lte: context.now },
+  }).distinct('post')
+  const seen = new Set(viewed.map(String))
+
+  if (mode === 'hide') {
+    return items.filter((item) => !seen.has(String(item._id)))
+  }
+  return items.map((item) =>
+    seen.has(String(item._id))
+      ? { ...item, seen: true, score: item.score * penalty }
+      : item,
+  )
+}
+
+// The nth post of an author, in score order, has its score multiplied by
+// `authorRepeatPenalty` n times, so one author cannot fill the feed
+const penaliseRepeatedAuthors = (items, context) => {
+  const penalty = context.config.authorRepeatPenalty ?? 1
+  const postsByAuthor = new Map()
+  return [...items]
+    .sort((a, b) => b.score - a.score)
+    .map((item) => {
+      const author = authorOf(item)
+      const repeats = postsByAuthor.get(author) || 0
+      postsByAuthor.set(author, repeats + 1)
+      if (!repeats) return item
+      const authorPenalty = penalty ** repeats
+      return { ...item, authorPenalty, score: item.score * authorPenalty }
+    })
+}
+
+// Avoids posts from the same author within `gap` posts of each other.
+// Posts are reordered within the page rather than dropped, so each post is
+// still served exactly once.
+const spreadAuthors = (posts, gap) => {
+  const pending = posts.filter((post) => post.author?._id)
+  const feed = []
+  while (pending.length) {
+    const recentAuthors = feed
+      .slice(-gap)
+      .map((post) => post.author._id.toString())
+    const index = pending.findIndex(
+      (post) => !recentAuthors.includes(post.author._id.toString()),
+    )
+    feed.push(...pending.splice(Math.max(index, 0), 1))
+  }
+  return feed
+}
+
+module.exports = { applySeenRule, penaliseRepeatedAuthors, spreadAuthors }
@@ -0,0 +1,19 @@
+// Scores a post from its features: a weighted sum for relevance, halved
+// every `halfLifeHours` so newer posts win over equally relevant old ones.
+// Returns the parts of the score as well, for debugging.
+const scorePost = (features, ageHours, { weights, halfLifeHours }) => {
+  const contributions = Object.fromEntries(
+    Object.entries(features).map(([name, value]) => [
+      name,
+      (weights[name] || 0) * value,
+    ]),
+  )
+  const relevance = Object.values(contributions).reduce(
+    (sum, value) => sum + value,
+    weights.base || 0,
+  )
+  const decay = 0.5 ** (ageHours / halfLifeHours)
+  return { score: relevance * decay, relevance, decay, contributions }
+}
+
+module.exports = { scorePost }
@@ -0,0 +1,121 @@
+const Post = require('../../../models/Post')
+const { publishedPostFilter } = require('../postVisibility')
+const { queryTimeline } = require('../timeline')
+
+const dayInMs = 24 * 60 * 60 * 1000
+
+// Fields the later stages read
+const candidateFields =
+  'author caption image type category tags hashtags mentions location ' +
+  'likesCount commentsCount viewsCount reelStats createdAt postedAt'
+
+// Candidate sources. Each one returns post ids for the viewer; the
+// pipeline loads the posts once and records which sources found them.
+// Every source only sees posts published before `context.now`, so the
+// pages of one ranking share the same candidates, and only posts of the
+// feed's `postType`, so explore finds posts and the reels feed reels.
+// Blocked and private authors are left out as in other lists.
+
+const candidateFilter = (context) => ({
+  ...publishedPostFilter,
+  type: context.config.postType,
+  author: { $nin: context.hiddenAuthors },
+  isDeleted: { $ne: true },
+  postedAt: { $lte: context.now },
+})
+
+// Posts from the feed's trending window
+const recentFilter = (context) => ({
+  ...candidateFilter(context),
+  postedAt: {
+    $gte: new Date(
+      context.now - (context.config.trendingWindowDays || 7) * dayInMs,
+    ),
+    $lte: context.now,
+  },
+})
+
+const findIds = async (filter, sort, limit) => {
+  const posts = await Post.find(filter)
+    .sort(sort)
+    .limit(limit)
+    .select('_id')
+    .lean()
+  return posts.map((post) => post._id)
+}
+
+const sources = {
+  // The viewer's precomputed home timeline
+  timeline: async (context, limit) => {
+    const items = await queryTimeline(context.viewer, {
+      until: context.now,
+      limit,
+    })
+    return items.map((item) => item.post)
+  },
+
+  // The most liked recent posts
+  trending: (context, limit) =>
+    findIds(recentFilter(context), { likesCount: -1, _id: -1 }, limit),
+
+  // The most played recent reels
+  mostPlayed: (context, limit) =>
+    findIds(recentFilter(context), { 'reelStats.plays': -1, _id: -1 }, limit),
+
+  // Recent posts of people the viewer follows
+  following: (context, limit) =>
+    context.following.size
+      ? findIds(
+          {
+            ...candidateFilter(context),
+            author: {
+              $in: [...context.following],
+              $nin: context.hiddenAuthors,
+            },
+          },
+          { postedAt: -1, _id: -1 },
+          limit,
+        )
+      : [],
+
+  // Recent posts in the viewer's preferred categories
+  categories: (context, limit) =>
+    context.preferences.size
+      ? findIds(
+          {
+            ...candidateFilter(context),
+            category: { $in: [...context.preferences] },
+          },
+          { postedAt: -1, _id: -1 },
+          limit,
+        )
+      : [],
+
+  // Recent posts sharing tags with posts the viewer liked
+  likedTags: (context, limit) =>
+    context.likedTags.size
+      ? findIds(
+          {
+            ...candidateFilter(context),
+            tags: { $in: [...context.likedTags] },
+          },
+          { postedAt: -1, _id: -1 },
+          limit,
+        )
+      : [],
+
+  // Recent posts with hashtags the viewer follows
+  hashtags: (context, limit) =>
+    context.followedHashtags.size
+      ? findIds(
+          {
+            ...candidateFilter(context),
+            hashtags: { $in: [...context.followedHashtags] },
+          },
+          { postedAt: -1, _id: -1 },
+          limit,
+        )
+      : [],
+}
+
+module.exports = { sources, candidateFields }
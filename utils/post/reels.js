@@ -0,0 +1,103 @@
+const Post = require('../../models/Post')
+const ReelWatch = require('../../models/ReelWatch')
+const { recordView } = require('./engagement')
+
+// Clients report every play of a reel, loops included, with the seconds
+// watched and the share of the reel watched (0 to 1). A play that reaches
+// this share counts as watched to the end.
+const completionThreshold = 0.95
+// Longest reel, and longest play accepted of a reel without a duration, in
+// seconds
+const maxWatchTime = 60 * 60
+// Plays of each user counted in a reel's totals. Later plays are kept in the
+// user's watch record only, so no one viewer can inflate a reel's stats.
+const maxCountedPlays = 3
+
+const isDuplicateKeyError = (error) => error && error.code === 11000
+
+// Adds a play to the user's watch record. Returns the record as it was
+// before, or null for the user's first play.
+const addPlay = (postId, userId, { watchTime, completed }, now) =>
+  ReelWatch.findOneAndUpdate(
+    { post: postId, user: userId },
+    {
+      $inc: { plays: 1, watchTime, completions: completed ? 1 : 0 },
+      $set: { lastWatchedAt: now },
+      ...(completed && { $min: { completedAt: now } }),
+    },
+    { upsert: true, new: false },
+  ).lean()
+
+// Records a play of a reel and updates the reel's totals. A play counts for
+// no more than the reel's `duration`, and only the first `maxCountedPlays`
+// of a user add to the totals. The first play of a user also counts as a
+// view of the post.
+const recordWatch = async (
+  postId,
+  userId,
+  { watchTime, completion, duration },
+) => {
+  const completed = completion >= completionThreshold
+  const play = {
+    watchTime: duration ? Math.min(watchTime, duration) : watchTime,
+    completed,
+  }
+  const now = new Date()
+
+  let previous
+  try {
+    previous = await addPlay(postId, userId, play, now)
+  } catch (error) {
+    // Two first plays at once: the record exists now, add to it
+    if (!isDuplicateKeyError(error)) throw error
+    previous = await addPlay(postId, userId, play, now)
+  }
+
+  if ((previous?.plays || 0) < maxCountedPlays) {
+    await Post.updateOne(
+      { _id: postId },
+      {
+        $inc: {
+          'reelStats.plays': 1,
+          'reelStats.viewers': previous ? 0 : 1,
+          'reelStats.watchTime': play.watchTime,
+          'reelStats.completions': completed ? 1 : 0,
+        },
+      },
+    )
+  }
+  if (!previous) await recordView(postId, userId)
+  return { completed, firstPlay: !previous }
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits
+
+// Metrics of a reel for its author. Replays are plays beyond each viewer's
+// first one, up to `maxCountedPlays` per viewer.
+const reelMetrics = (post) => {
+  const {
+    plays = 0,
+    viewers = 0,
+    watchTime = 0,
+    completions = 0,
+  } = post.reelStats || {}
+  return {
+    plays,
+    viewers,
+    replays: Math.max(plays - viewers, 0),
+    completions,
+    completionRate: plays ? round(completions / plays, 4) : 0,
+    totalWatchTime: round(watchTime, 2),
+    averageWatchTime: plays ? round(watchTime / plays, 2) : 0,
+    likesCount: post.likesCount || 0,
+    commentsCount: post.commentsCount || 0,
+  }
+}
+
+module.exports = {
+  completionThreshold,
+  maxWatchTime,
+  maxCountedPlays,
+  recordWatch,
+  reelMetrics,
+}
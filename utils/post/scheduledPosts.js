@@ -0,0 +1,110 @@
+const Post = require('../../models/Post')
+const User = require('../../models/User')
+const notifyUser = require('../main/notifyUser')
+const { parseHashtags, syncHashtagCounts } = require('./hashtags')
+const { notifyMentions } = require('./mentions')
+const { fanOutPost } = require('./timeline')
+
+const dayInMs = 24 * 60 * 60 * 1000
+// Posts can be scheduled up to this many days ahead
+const maxScheduleDays = 90
+
+// Validates `status` and `scheduledAt` from a request body. Sending only
+// `scheduledAt` schedules the post. Returns { error } or { fields }.
+const validatePublishing = (
+  { status, scheduledAt },
+  allowed = ['draft', 'scheduled', 'published'],
+) => {
+  const nextStatus = status || (scheduledAt ? 'scheduled' : 'published')
+  if (!allowed.includes(nextStatus)) {
+    return { error: 'Invalid post status' }
+  }
+  if (nextStatus !== 'scheduled') {
+    return { fields: { status: nextStatus, scheduledAt: null } }
+  }
+
+  const date = new Date(scheduledAt)
+  if (!scheduledAt || Number.isNaN(date.getTime())) {
+    return { error: 'A valid publish time is required to schedule a post' }
+  }
+  if (date <= new Date()) {
+    return { error: 'The publish time must be in the future' }
+  }
+  if (date > new Date(Date.now() + maxScheduleDays * dayInMs)) {
+    return {
+      error: `Posts can be scheduled at most ${maxScheduleDays} days ahead`,
+    }
+  }
+  return { fields: { status: 'scheduled', scheduledAt: date } }
+}
+
+// What publishing a post triggers: it joins the author's posts and their
+// followers' timelines, its hashtags are counted and mentioned users are
+// notified. `author` needs `username`, `isPrivateAccount` and `followers`.
+const onPostPublished = async (post, author) => {
+  await User.updateOne({ _id: author._id }, { $addToSet: { posts: post._id } })
+  await fanOutPost(post)
+  await syncHashtagCounts([], parseHashtags(post.caption))
+  await notifyMentions({
+    entities: post.mentions,
+    author,
+    owner: author,
+    postId: post._id,
+  })
+}
+
+// Publishes a draft or scheduled post now. The update claims the post, so
+// it returns null when the post was published in the meantime.
+const publishPost = async (post, author) => {
+  const now = new Date()
+  const published = await Post.findOneAndUpdate(
+    { _id: post._id, status: { $in: ['draft', 'scheduled'] } },
+    {
+      $set: {
+        status: 'published',
+        publishedAt: now,
+        postedAt: now,
+        scheduledAt: null,
+      },
+    },
+    { new: true },
+  )
+  if (!published) return null
+
+  await onPostPublished(published, author)
+  return published
+}
+
+// Scheduled task: publishes posts whose time has come and lets their
+// authors know
+const publishDuePosts = async () => {
+  const due = await Post.find({
+    status: 'scheduled',
+    scheduledAt: { $lte: new Date() },
+  }).sort({ scheduledAt: 1 })
+
+  for (const post of due) {
+    const author = await User.findById(post.author).select(
+      'username blockedUsers isPrivateAccount followers',
+    )
+    if (!author) continue
+
+    const published = await publishPost(post, author)
+    if (!published) continue
+
+    await notifyUser({
+      recipient: author._id,
+      type: 'post',
+      title: 'Post published',
+      message: 'Your scheduled post is now live',
+      metadata: { postId: published._id },
+    })
+  }
+}
+
+module.exports = {
+  validatePublishing,
+  onPostPublished,
+  publishPost,
+  publishDuePosts,
+}
@@ -0,0 +1,208 @@
+const Post = require('../../models/Post')
+const User = require('../../models/User')
+const TimelineEntry = require('../../models/TimelineEntry')
+const { publishedPostFilter } = require('./postVisibility')
+const {
+  cursorMatch,
+  cursorSort,
+  compareInQueryOrder,
+  toPage,
+} = require('../main/cursorPagination')
+
+// Home timelines are precomputed: publishing a post writes an entry into
+// the timeline of each follower (fan-out on write), so reading a timeline
+// is one indexed query. Posts of authors with more followers than this are
+// not copied, they are merged in when a follower reads (fan-out on read).
+const fanOutFollowerLimit = 10000
+// Matches the expiry of timeline entries
+const timelineDays = 30
+// Posts copied into a timeline when following someone
+const backfillLimit = 50
+const writeBatchSize = 1000
+
+const dayInMs = 24 * 60 * 60 * 1000
+
+const timelineSort = [
+  ['postedAt', -1],
+  ['post', -1],
+]
+
+const timelineStart = () => new Date(Date.now() - timelineDays * dayInMs)
+
+// Authors followed by more people than the limit, queried without loading
+// the followers: `followers.<limit>` exists when the array is longer
+const highFollowerFilter = {
+  [`followers.${fanOutFollowerLimit}`]: { $exists: true },
+}
+
+// Adds posts to the timelines of `owners`. Entries are unique per owner and
+// post, so writing twice is harmless.
+const writeEntries = async (owners, posts) => {
+  const operations = owners.flatMap((owner) =>
+    posts.map((post) => ({
+      updateOne: {
+        filter: { owner, post: post._id },
+        update: {
+          $setOnInsert: {
+            owner,
+            post: post._id,
+            author: post.author,
+            postedAt: post.postedAt,
+          },
+        },
+        upsert: true,
+      },
+    })),
+  )
+  for (let i = 0; i < operations.length; i += writeBatchSize) {
+    await TimelineEntry.bulkWrite(operations.slice(i, i + writeBatchSize), {
+      ordered: false,
+    })
+  }
+}
+
+// Fans a newly published post out to its author and their followers,
+// leaving out anyone with a block between them and the author
+const fanOutPost = async (post) => {
+  const author = await User.findById(post.author)
+    .select('followers blockedUsers')
+    .lean()
+  if (!author) return
+
+  const owners = [author._id]
+  const followers = author.followers || []
+  if (followers.length && followers.length <= fanOutFollowerLimit) {
+    const recipients = await User.find({
+      _id: { $in: followers, $nin: author.blockedUsers || [] },
+      blockedUsers: { $ne: author._id },
+    }).distinct('_id')
+    owners.push(...recipients)
+  }
+  await writeEntries(owners, [post])
+}
+
+// Copies the recent posts of a newly followed author into the follower's
+// timeline. Authors always have their own posts in their timeline.
+const backfillTimeline = async (ownerId, authorId) => {
+  const isOwn = String(ownerId) === String(authorId)
+  const isHighFollower =
+    !isOwn && (await User.exists({ _id: authorId, ...highFollowerFilter }))
+  if (isHighFollower) return
+
+  const start = timelineStart()
+  const posts = await Post.find({
+    ...publishedPostFilter,
+    author: authorId,
+    isDeleted: { $ne: true },
+  })
+    .sort({ postedAt: -1 })
+    .limit(backfillLimit)
+    .select('author postedAt')
+    .lean()
+  await writeEntries(
+    [ownerId],
+    posts.filter((post) => post.postedAt >= start),
+  )
+}
+
+// After an unfollow or a block: the author's posts leave the timeline
+const removeAuthorFromTimeline = (ownerId, authorId) =>
+  TimelineEntry.deleteMany({ owner: ownerId, author: authorId })
+
+const removePostFromTimelines = (postId) =>
+  TimelineEntry.deleteMany({ post: postId })
+
+// After a user is deleted: their timeline and their posts in other timelines
+const removeUserFromTimelines = (userId) =>
+  TimelineEntry.deleteMany({ $or: [{ owner: userId }, { author: userId }] })
+
+// Timeline items { post, postedAt }, newest first or read backwards from a
+// cursor: entries written at publish time merged with recent posts of
+// followed high-follower authors. `until` leaves out later posts.
+const queryTimeline = async (user, { cursor = null, until = null, limit }) => {
+  const match = cursorMatch(timelineSort, cursor)
+  if (until) match.postedAt = { $lte: until }
+  const sort = cursorSort(timelineSort, cursor)
+
+  const entries = await TimelineEntry.find({
+    $and: [{ owner: user._id }, match],
+  })
+    .sort(sort)
+    .limit(limit)
+    .select('post postedAt')
+    .lean()
+
+  const pulledAuthors = user.following?.length
+    ? await User.find({
+        _id: { $in: user.following },
+        ...highFollowerFilter,
+      }).distinct('_id')
+    : []
+  const pulled = pulledAuthors.length
+    ? await Post.aggregate([
+        {
+          $match: {
+            ...publishedPostFilter,
+            author: { $in: pulledAuthors },
+            isDeleted: { $ne: true },
+            postedAt: { $gte: timelineStart() },
+          },
+        },
+        {
+          $project: {
+            post: '$_id',
+            postedAt: 1,
+          },
+        },
+        { $match: match },
+        { $sort: sort },
+        { $limit: limit },
+      ])
+    : []
+
+  // A post fanned out before its author passed the limit can be in both
+  return [...entries, ...pulled]
+    .sort(compareInQueryOrder(timelineSort, cursor))
+    .filter(
+      (item, index, items) =>
+        index === 0 || !item.post.equals(items[index - 1].post),
+    )
+    .slice(0, limit)
+}
+
+// Reads a page of a user's home timeline, newest first
+const readTimeline = async (user, pageParams) => {
+  const items = await queryTimeline(user, {
+    cursor: pageParams.cursor,
+    limit: pageParams.limit + 1,
+  })
+  const page = toPage(items, timelineSort, pageParams)
+
+  const posts = await Post.find({
+    ...publishedPostFilter,
+    _id: { $in: page.items.map((item) => item.post) },
+    isDeleted: { $ne: true },
+  })
+    .populate('author', 'username profileImg')
+    .lean()
+  const byId = new Map(posts.map((post) => [post._id.toString(), post]))
+
+  return {
+    posts: page.items
+      .map((item) => byId.get(item.post.toString()))
+      .filter(Boolean),
+    nextCursor: page.nextCursor,
+    prevCursor: page.prevCursor,
+  }
+}
+
+module.exports = {
+  timelineSort,
+  fanOutPost,
+  backfillTimeline,
+  removeAuthorFromTimeline,
+  removePostFromTimelines,
+  removeUserFromTimelines,
+  queryTimeline,
+  readTimeline,
+}